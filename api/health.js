@@ -1,148 +1,51 @@
-import { createClient } from '@supabase/supabase-js';
+import { randomUUID } from 'crypto';
+import { SERVICES, GROUPS } from '../lib/services.js';
+import { runChecks, recordChecks } from '../lib/checks.js';
+import { getSupabase } from '../lib/supabase.js';
+import { recordDailyUptime } from '../lib/uptime.js';
+import { getServicesInMaintenance } from '../lib/incidents.js';
+import { evaluateAlerts, notifyAlerts } from '../lib/alerts.js';
+import { authenticate } from '../lib/auth.js';
+import { startTrace, runWithTrace, exportTrace } from '../lib/tracing.js';
 
 // ============================================
 // ERYAI HEALTH CHECK - FULL SERVICE VALIDATION
-// Tests actual connectivity to ALL services
+// Tests actual connectivity to ALL services in the catalog
 // ============================================
 
-const CONFIG = {
-  demoUrl: 'https://ery-ai-demo-restaurang.vercel.app',
-  dashboardUrl: 'https://dashboard.eryai.tech',
-  salesUrl: 'https://sales.eryai.tech',
-  landingUrl: 'https://eryai.tech',
-  supabaseUrl: process.env.SUPABASE_URL,
-  supabaseKey: process.env.SUPABASE_SERVICE_KEY,
-  geminiKey: process.env.GEMINI_API_KEY,
-  resendKey: process.env.RESEND_API_KEY
-};
-
-async function checkWithTimeout(name, checkFn, timeout = 10000) {
-  const start = Date.now();
+// Failures found here go through the same alert state machine as the test suite.
+// Services under maintenance are left out so their alert state is untouched.
+async function notifyHealthAlerts(checks) {
   try {
-    const timeoutPromise = new Promise((_, reject) => 
-      setTimeout(() => reject(new Error('Timeout')), timeout)
-    );
-    await Promise.race([checkFn(), timeoutPromise]);
-    return { 
-      name, 
-      status: 'ok', 
-      responseTime: Date.now() - start 
-    };
+    const servicesInMaintenance = await getServicesInMaintenance(getSupabase());
+    const observations = checks.filter(c => !servicesInMaintenance.has(c.id)).map(c => ({
+      key: `service:${c.id}`,
+      source: 'health',
+      name: c.name,
+      failing: c.status === 'error',
+      critical: c.critical,
+      error: c.error
+    }));
+    const { opened, reminders, recovered } = await evaluateAlerts(getSupabase(), observations);
+    await notifyAlerts({ source: 'health', opened, reminders, recovered, total: checks.length });
   } catch (error) {
-    return { 
-      name, 
-      status: 'error', 
-      error: error.message, 
-      responseTime: Date.now() - start 
-    };
-  }
-}
-
-// ============================================
-// SERVICE CHECKS
-// ============================================
-
-async function checkSupabase() {
-  const supabase = createClient(CONFIG.supabaseUrl, CONFIG.supabaseKey);
-  const { error } = await supabase.from('customers').select('id').limit(1);
-  if (error) throw new Error(error.message);
-}
-
-async function checkGemini() {
-  if (!CONFIG.geminiKey) throw new Error('API key missing');
-  
-  const response = await fetch(
-    `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash-exp:generateContent?key=${CONFIG.geminiKey}`,
-    {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        contents: [{ role: 'user', parts: [{ text: 'Reply with OK' }] }],
-        generationConfig: { maxOutputTokens: 5 }
-      })
-    }
-  );
-  
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`API error: ${response.status}`);
+    console.error('Health alerting failed:', error);
   }
 }
 
-async function checkResend() {
-  if (!CONFIG.resendKey) throw new Error('API key missing');
-  
-  // Check API key validity by calling domains endpoint (doesn't send email)
-  const response = await fetch('https://api.resend.com/domains', {
-    headers: { 'Authorization': `Bearer ${CONFIG.resendKey}` }
-  });
-  
-  if (!response.ok) {
-    throw new Error(`API error: ${response.status}`);
-  }
-}
-
-async function checkUrl(url) {
-  const response = await fetch(url, { 
-    method: 'GET',
-    signal: AbortSignal.timeout(10000)
-  });
-  if (!response.ok) throw new Error(`HTTP ${response.status}`);
-}
-
-async function checkRestaurantApi() {
-  const response = await fetch(`${CONFIG.demoUrl}/api/restaurant`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ prompt: 'health check' })
-  });
-  // 200 or 400 both mean API is responding
-  if (!response.ok && response.status !== 400) {
-    throw new Error(`HTTP ${response.status}`);
-  }
-}
-
-async function checkMessagesApi() {
-  const response = await fetch(`${CONFIG.demoUrl}/api/messages?session_id=00000000-0000-0000-0000-000000000000`);
-  if (!response.ok) throw new Error(`HTTP ${response.status}`);
-}
-
-async function checkTypingApi() {
-  const response = await fetch(`${CONFIG.demoUrl}/api/typing?session_id=00000000-0000-0000-0000-000000000000`);
-  if (!response.ok) throw new Error(`HTTP ${response.status}`);
-}
-
-// ============================================
-// MAIN HANDLER
-// ============================================
-
-export default async function handler(req, res) {
+async function handleHealth(req, res) {
   const startTime = Date.now();
   
   // Run all checks in parallel
-  const checks = await Promise.all([
-    // Infrastructure
-    checkWithTimeout('Supabase Database', checkSupabase),
-    checkWithTimeout('Gemini AI API', checkGemini),
-    checkWithTimeout('Resend Email API', checkResend),
-    
-    // Websites
-    checkWithTimeout('Landing Page', () => checkUrl(CONFIG.landingUrl)),
-    checkWithTimeout('Demo Restaurant', () => checkUrl(CONFIG.demoUrl)),
-    checkWithTimeout('Customer Dashboard', () => checkUrl(CONFIG.dashboardUrl)),
-    checkWithTimeout('Sales Dashboard', () => checkUrl(CONFIG.salesUrl)),
-    
-    // APIs
-    checkWithTimeout('Sofia AI API', checkRestaurantApi, 15000),
-    checkWithTimeout('Messages API', checkMessagesApi),
-    checkWithTimeout('Typing API', checkTypingApi),
-  ]);
+  const checks = (await runChecks(SERVICES)).map(check => ({
+    ...check,
+    status: check.ok ? 'ok' : 'error'
+  }));
 
   // Calculate overall status
   const errors = checks.filter(c => c.status === 'error');
   const allOk = errors.length === 0;
-  const criticalServices = ['Supabase Database', 'Gemini AI API', 'Sofia AI API'];
-  const criticalDown = errors.some(e => criticalServices.includes(e.name));
+  const criticalDown = errors.some(e => e.critical);
 
   let overallStatus = 'ok';
   if (criticalDown) overallStatus = 'critical';
@@ -160,9 +63,18 @@ export default async function handler(req, res) {
     services: {}
   };
 
+  // Only the 5-minute cron feeds history and alerts - the page is public
+  // and auto-refreshes, so anonymous views would skew uptime and spam alerts
+  if (authenticate(req)?.method === 'cron') {
+    await recordChecks(getSupabase(), checks);
+    await recordDailyUptime(getSupabase(), checks);
+    await notifyHealthAlerts(checks);
+  }
+
   // Group by category
   checks.forEach(check => {
     health.services[check.name] = {
+      group: check.group,
       status: check.status,
       responseTime: check.responseTime,
       ...(check.error && { error: check.error })
@@ -294,75 +206,34 @@ export default async function handler(req, res) {
       </div>
     </div>
     
-    <div class="section">
-      <div class="section-title">Infrastructure</div>
-      <div class="services">
-        ${['Supabase Database', 'Gemini AI API', 'Resend Email API'].map(name => {
-          const s = health.services[name];
-          return `
-            <div class="service">
-              <div class="service-left">
-                <div class="service-dot ${s.status}"></div>
-                <div>
-                  <div class="service-name">${name}</div>
-                  ${s.error ? `<div class="service-error">${s.error}</div>` : ''}
+    ${GROUPS.map(group => `
+      <div class="section">
+        <div class="section-title">${group}</div>
+        <div class="services">
+          ${checks.filter(c => c.group === group).map(({ name }) => {
+            const s = health.services[name];
+            return `
+              <div class="service">
+                <div class="service-left">
+                  <div class="service-dot ${s.status}"></div>
+                  <div>
+                    <div class="service-name">${name}</div>
+                    ${s.error ? `<div class="service-error">${s.error}</div>` : ''}
+                  </div>
                 </div>
+                <div class="service-time">${s.responseTime}ms</div>
               </div>
-              <div class="service-time">${s.responseTime}ms</div>
-            </div>
-          `;
-        }).join('')}
+            `;
+          }).join('')}
+        </div>
       </div>
-    </div>
-    
-    <div class="section">
-      <div class="section-title">Websites</div>
-      <div class="services">
-        ${['Landing Page', 'Demo Restaurant', 'Customer Dashboard', 'Sales Dashboard'].map(name => {
-          const s = health.services[name];
-          return `
-            <div class="service">
-              <div class="service-left">
-                <div class="service-dot ${s.status}"></div>
-                <div>
-                  <div class="service-name">${name}</div>
-                  ${s.error ? `<div class="service-error">${s.error}</div>` : ''}
-                </div>
-              </div>
-              <div class="service-time">${s.responseTime}ms</div>
-            </div>
-          `;
-        }).join('')}
-      </div>
-    </div>
-    
-    <div class="section">
-      <div class="section-title">APIs</div>
-      <div class="services">
-        ${['Sofia AI API', 'Messages API', 'Typing API'].map(name => {
-          const s = health.services[name];
-          return `
-            <div class="service">
-              <div class="service-left">
-                <div class="service-dot ${s.status}"></div>
-                <div>
-                  <div class="service-name">${name}</div>
-                  ${s.error ? `<div class="service-error">${s.error}</div>` : ''}
-                </div>
-              </div>
-              <div class="service-time">${s.responseTime}ms</div>
-            </div>
-          `;
-        }).join('')}
-      </div>
-    </div>
+    `).join('')}
     
     <div class="footer">
       <p>Last check: ${new Date().toLocaleString('sv-SE')}</p>
       <p class="refresh">Auto-refreshes every 30 seconds</p>
       <p style="margin-top: 10px;">
         <a href="/api/status">Status Page</a>
-        <a href="/api/test">Full Test Suite</a>
         <a href="/api/health">Refresh Now</a>
       </p>
     </div>
@@ -374,3 +245,15 @@ export default async function handler(req, res) {
   res.setHeader('Content-Type', 'text/html');
   return res.status(200).send(html);
 }
+
+// One trace per request: a span per service check, child spans per outgoing call
+export default async function handler(req, res) {
+  const trace = startTrace('GET /api/health', { runId: randomUUID() });
+  res.setHeader('X-Run-Id', trace.runId);
+  res.setHeader('X-Trace-Id', trace.traceId);
+  try {
+    return await runWithTrace(trace, () => handleHealth(req, res));
+  } finally {
+    await exportTrace(trace);
+  }
+}
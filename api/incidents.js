@@ -0,0 +1,43 @@
+import { getSupabase } from '../lib/supabase.js';
+import { requireInternalKey } from '../lib/auth.js';
+import { listIncidents, createIncident, addIncidentUpdate, ValidationError } from '../lib/incidents.js';
+
+// ============================================
+// ERYAI INCIDENTS
+// GET                      - open incidents (?all=1 includes resolved), public
+// POST                     - open an incident { title, severity, services, message, status? }
+// PATCH ?id=<incident id>  - timeline update { status, message, severity? }
+// Writes require the X-Internal-API-Key header
+// ============================================
+
+export default async function handler(req, res) {
+  const supabase = getSupabase();
+
+  try {
+    if (req.method === 'GET') {
+      const incidents = await listIncidents(supabase, { includeResolved: req.query?.all === '1' });
+      return res.status(200).json({ incidents });
+    }
+
+    if (req.method === 'POST') {
+      if (!requireInternalKey(req, res)) return;
+      const incident = await createIncident(supabase, req.body);
+      return res.status(201).json({ incident });
+    }
+
+    if (req.method === 'PATCH') {
+      if (!requireInternalKey(req, res)) return;
+      if (!req.query?.id) return res.status(400).json({ error: 'id is required' });
+      const incident = await addIncidentUpdate(supabase, req.query.id, req.body);
+      if (!incident) return res.status(404).json({ error: 'Incident not found' });
+      return res.status(200).json({ incident });
+    }
+
+    res.setHeader('Allow', 'GET, POST, PATCH');
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    if (error instanceof ValidationError) return res.status(400).json({ error: error.message });
+    console.error('Incident request failed:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
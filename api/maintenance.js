@@ -0,0 +1,43 @@
+import { getSupabase } from '../lib/supabase.js';
+import { requireInternalKey } from '../lib/auth.js';
+import { listMaintenance, createMaintenance, deleteMaintenance, ValidationError } from '../lib/incidents.js';
+
+// ============================================
+// ERYAI MAINTENANCE WINDOWS
+// GET                 - active and upcoming windows, public
+// POST                - schedule { title, services, startsAt, endsAt, description? }
+// DELETE ?id=<id>     - cancel a window
+// Writes require the X-Internal-API-Key header
+// ============================================
+
+export default async function handler(req, res) {
+  const supabase = getSupabase();
+
+  try {
+    if (req.method === 'GET') {
+      const maintenance = await listMaintenance(supabase);
+      return res.status(200).json({ maintenance });
+    }
+
+    if (req.method === 'POST') {
+      if (!requireInternalKey(req, res)) return;
+      const maintenance = await createMaintenance(supabase, req.body);
+      return res.status(201).json({ maintenance });
+    }
+
+    if (req.method === 'DELETE') {
+      if (!requireInternalKey(req, res)) return;
+      if (!req.query?.id) return res.status(400).json({ error: 'id is required' });
+      const deleted = await deleteMaintenance(supabase, req.query.id);
+      if (!deleted) return res.status(404).json({ error: 'Maintenance window not found' });
+      return res.status(204).end();
+    }
+
+    res.setHeader('Allow', 'GET, POST, DELETE');
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    if (error instanceof ValidationError) return res.status(400).json({ error: error.message });
+    console.error('Maintenance request failed:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
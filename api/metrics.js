@@ -0,0 +1,21 @@
+import { getSupabase } from '../lib/supabase.js';
+import { requireInternalKey } from '../lib/auth.js';
+import { collectMetrics, CONTENT_TYPE } from '../lib/metrics.js';
+
+// ============================================
+// ERYAI METRICS - Prometheus text format
+// Reads what /api/health and /api/test stored; requires the internal API key
+// ============================================
+
+export default async function handler(req, res) {
+  if (!requireInternalKey(req, res)) return;
+
+  try {
+    const body = await collectMetrics(getSupabase());
+    res.setHeader('Content-Type', CONTENT_TYPE);
+    return res.status(200).send(body);
+  } catch (error) {
+    console.error('Metrics collection failed:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
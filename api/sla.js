@@ -0,0 +1,67 @@
+import { randomUUID } from 'crypto';
+import { getSupabase } from '../lib/supabase.js';
+import { authenticate } from '../lib/auth.js';
+import { computeSla, slaObservations } from '../lib/sla.js';
+import { evaluateAlerts, notifyAlerts } from '../lib/alerts.js';
+import { startTrace, runWithTrace, exportTrace } from '../lib/tracing.js';
+
+// ============================================
+// ERYAI OPERATIONAL SLAs
+// Unhandled notifications and unassigned needs_human sessions per
+// customer (lib/sla.js). Runs from cron every 5 minutes; breaches go
+// through the same alert state machine as test failures.
+// Shows guest data, so it needs the cron secret, the key or a signed link.
+// Only the cron feeds alerts - a link click or a manual call just reads.
+// ============================================
+
+async function notifySlaAlerts(report) {
+  try {
+    const observations = slaObservations(report);
+    const { opened, reminders, recovered } = await evaluateAlerts(getSupabase(), observations);
+    await notifyAlerts({ source: 'sla', opened, reminders, recovered, total: observations.length });
+  } catch (error) {
+    console.error('SLA alerting failed:', error);
+  }
+}
+
+async function handleSla(req, res) {
+  const auth = authenticate(req);
+  if (!auth) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const report = await computeSla(getSupabase());
+    if (auth.method === 'cron') {
+      await notifySlaAlerts(report);
+    }
+
+    const breaching = report.customers.filter(c => c.breaching);
+    return res.status(200).json({
+      status: breaching.length > 0 ? 'breached' : 'ok',
+      checkedAt: report.checkedAt,
+      limits: report.limits,
+      summary: {
+        customers: report.customers.length,
+        breaching: breaching.length,
+        notifications: breaching.reduce((a, c) => a + c.notifications.length, 0),
+        sessions: breaching.reduce((a, c) => a + c.sessions.length, 0)
+      },
+      customers: breaching
+    });
+  } catch (error) {
+    console.error('SLA check failed:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+export default async function handler(req, res) {
+  const trace = startTrace('GET /api/sla', { runId: randomUUID() });
+  res.setHeader('X-Run-Id', trace.runId);
+  res.setHeader('X-Trace-Id', trace.traceId);
+  try {
+    return await runWithTrace(trace, () => handleSla(req, res));
+  } finally {
+    await exportTrace(trace);
+  }
+}
@@ -0,0 +1,16 @@
+import { computeSlos } from '../lib/slo.js';
+
+// ============================================
+// ERYAI SLOs - error budgets, burn rates and latency percentiles
+// Definitions live in lib/slo.js
+// ============================================
+
+export default async function handler(req, res) {
+  try {
+    const report = await computeSlos();
+    return res.status(200).json(report);
+  } catch (error) {
+    console.error('SLO computation failed:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
@@ -1,118 +1,231 @@
-import { createClient } from '@supabase/supabase-js';
-
-const CONFIG = {
-  demoUrl: 'https://ery-ai-demo-restaurang.vercel.app',
-  dashboardUrl: 'https://dashboard.eryai.tech',
-  salesUrl: 'https://sales.eryai.tech',
-  landingUrl: 'https://eryai.tech',
-  supabaseUrl: process.env.SUPABASE_URL,
-  supabaseKey: process.env.SUPABASE_SERVICE_KEY
-};
+import { randomUUID } from 'crypto';
+import { SERVICES, GROUPS } from '../lib/services.js';
+import { getLatestChecks } from '../lib/checks.js';
+import { getSupabase } from '../lib/supabase.js';
+import { getUptimeHistory, UPTIME_CONFIG } from '../lib/uptime.js';
+import { listIncidents, listMaintenance } from '../lib/incidents.js';
+import { checkDomains, tlsStatus } from '../lib/domains.js';
+import { startTrace, runWithTrace, exportTrace } from '../lib/tracing.js';
+
+// ============================================
+// STATUS PAGE
+// Public and unauthenticated, so a view never runs checks itself: services
+// come from the /api/health cron's stored results, domains from a
+// per-instance cache. Otherwise every view would cost a Gemini call, a
+// Resend call, an engine POST and a TLS handshake per host.
+// ============================================
+
+// Older than three missed health crons - show "No data" rather than a stale green
+const STALE_AFTER_MS = 15 * 60 * 1000;
+// Certificates and DNS change slowly
+const DOMAIN_CACHE_MS = 60 * 60 * 1000;
 
-async function checkUrl(url, name) {
-  const start = Date.now();
+// check: the service's latest row in monitoring_check_results, if any
+function toStatus(service, check, now) {
+  const base = { id: service.id, name: service.name, url: service.url, group: service.group };
+  if (!check || now - new Date(check.checked_at).getTime() > STALE_AFTER_MS) {
+    return { ...base, status: 'unknown', statusCode: null, responseTime: null, checkedAt: check?.checked_at ?? null };
+  }
+  return {
+    ...base,
+    // Only HTTP answers store a status code - the rest can't be told apart from down
+    status: check.status === 'ok' ? 'operational' : check.status_code ? 'degraded' : 'down',
+    statusCode: check.status_code,
+    responseTime: check.response_time_ms,
+    checkedAt: check.checked_at,
+    ...(check.error && { error: check.error })
+  };
+}
+
+// Without stored checks every service shows "No data"
+async function loadChecks() {
   try {
-    const response = await fetch(url, { 
-      method: 'GET',
-      signal: AbortSignal.timeout(10000)
-    });
-    return {
-      name,
-      url,
-      status: response.ok ? 'operational' : 'degraded',
-      statusCode: response.status,
-      responseTime: Date.now() - start
-    };
+    return await getLatestChecks(getSupabase(), SERVICES);
   } catch (error) {
-    return {
-      name,
-      url,
-      status: 'down',
-      error: error.message,
-      responseTime: Date.now() - start
-    };
+    console.error('Failed to load latest checks:', error);
+    return {};
   }
 }
 
-async function checkApi(url, name) {
-  const start = Date.now();
+// History is extra - the page must still render when it can't be loaded
+async function loadHistory() {
   try {
-    const response = await fetch(url, { 
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ prompt: 'health check' }),
-      signal: AbortSignal.timeout(15000)
-    });
-    // 200 or 400 (bad request) both mean API is responding
-    const isUp = response.ok || response.status === 400;
-    return {
-      name,
-      url,
-      status: isUp ? 'operational' : 'degraded',
-      statusCode: response.status,
-      responseTime: Date.now() - start
-    };
+    return await getUptimeHistory(getSupabase(), SERVICES.map(s => s.id));
   } catch (error) {
-    return {
-      name,
-      url,
-      status: 'down',
-      error: error.message,
-      responseTime: Date.now() - start
-    };
+    console.error('Failed to load uptime history:', error);
+    return {};
   }
 }
 
-async function checkSupabase() {
-  const start = Date.now();
+// Incidents and maintenance are optional too
+async function loadNotices() {
+  const supabase = getSupabase();
+  const [incidents, maintenance] = await Promise.all([
+    listIncidents(supabase).catch(error => {
+      console.error('Failed to load incidents:', error);
+      return [];
+    }),
+    listMaintenance(supabase).catch(error => {
+      console.error('Failed to load maintenance windows:', error);
+      return [];
+    })
+  ]);
+  return { incidents, maintenance };
+}
+
+let domainCache = { checkedAt: 0, domains: null };
+
+// Certificate expiry and DNS per host, at most once per DOMAIN_CACHE_MS per
+// instance - a failing check never breaks the page
+async function loadDomains(now) {
+  if (domainCache.domains && now - domainCache.checkedAt < DOMAIN_CACHE_MS) return domainCache.domains;
   try {
-    const supabase = createClient(CONFIG.supabaseUrl, CONFIG.supabaseKey);
-    const { error } = await supabase.from('customers').select('id').limit(1);
-    return {
-      name: 'Supabase Database',
-      status: error ? 'degraded' : 'operational',
-      responseTime: Date.now() - start,
-      error: error?.message
-    };
+    const domains = (await checkDomains()).map(toDomainStatus);
+    domainCache = { checkedAt: now, domains };
+    return domains;
   } catch (error) {
-    return {
-      name: 'Supabase Database',
-      status: 'down',
-      responseTime: Date.now() - start,
-      error: error.message
-    };
+    console.error('Failed to check domains:', error);
+    return domainCache.domains || [];
   }
 }
 
-export default async function handler(req, res) {
-  const checks = await Promise.all([
-    checkUrl(CONFIG.landingUrl, 'Landing Page'),
-    checkUrl(CONFIG.demoUrl, 'Demo Restaurant'),
-    checkApi(`${CONFIG.demoUrl}/api/restaurant`, 'Sofia AI API'),
-    checkUrl(CONFIG.dashboardUrl, 'Customer Dashboard'),
-    checkUrl(CONFIG.salesUrl, 'Sales Dashboard'),
-    checkSupabase()
+const DOMAIN_STATUSES = { ok: 'operational', warning: 'degraded', failed: 'down' };
+
+function toDomainStatus(result) {
+  const tls = result.tls ? tlsStatus(result.tls) : { status: 'failed', problems: [`TLS: ${result.tlsError}`] };
+  const dnsProblems = result.dns ? result.dns.mismatches : [`DNS: ${result.dnsError}`];
+  const status = dnsProblems.length > 0 ? 'failed' : tls.status;
+  return {
+    host: result.host,
+    status: DOMAIN_STATUSES[status],
+    daysLeft: result.tls?.daysLeft ?? null,
+    validTo: result.tls?.validTo ?? null,
+    issuer: result.tls?.issuer ?? null,
+    problems: [...tls.problems, ...dnsProblems]
+  };
+}
+
+// Helper: Incident text is written by people - never trust it in HTML
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function serviceNames(ids) {
+  return ids.map(id => SERVICES.find(s => s.id === id)?.name || id).join(', ');
+}
+
+function formatDate(value) {
+  return new Date(value).toLocaleString('sv-SE', { timeZone: 'Europe/Stockholm' });
+}
+
+function renderIncidents(incidents) {
+  return incidents.map(incident => `
+    <div class="notice incident ${incident.severity}">
+      <div class="notice-title">${escapeHtml(incident.title)}</div>
+      <div class="notice-meta">${incident.severity} · ${incident.status} · ${escapeHtml(serviceNames(incident.services))}</div>
+      ${incident.updates.map(u => `
+        <div class="notice-update">
+          <strong>${u.status}</strong> – ${escapeHtml(u.message)}
+          <span class="notice-time">${formatDate(u.created_at)}</span>
+        </div>
+      `).join('')}
+    </div>
+  `).join('');
+}
+
+function renderMaintenance(maintenance) {
+  return maintenance.map(m => `
+    <div class="notice maintenance">
+      <div class="notice-title">🔧 ${m.active ? 'Maintenance in progress' : 'Scheduled maintenance'}: ${escapeHtml(m.title)}</div>
+      <div class="notice-meta">${escapeHtml(serviceNames(m.services))} · ${formatDate(m.starts_at)} – ${formatDate(m.ends_at)}</div>
+      ${m.description ? `<div class="notice-update">${escapeHtml(m.description)}</div>` : ''}
+    </div>
+  `).join('');
+}
+
+const DAY_LABELS = {
+  up: 'No downtime',
+  degraded: 'Partial outage',
+  down: 'Major outage',
+  none: 'No data'
+};
+
+// Helper: One bar per day, oldest first
+function renderUptimeBars(days) {
+  return `
+    <div class="uptime-bars">
+      ${days.map(d => `<div class="bar ${d.status}" title="${d.date}: ${DAY_LABELS[d.status]}${d.checks > 0 ? ` (${d.checks - d.failures}/${d.checks} checks ok)` : ''}"></div>`).join('')}
+    </div>
+  `;
+}
+
+// Helper: Inline SVG polyline of hourly response times, gaps are skipped
+function renderSparkline(points, width = 120, height = 28) {
+  const values = points.filter(p => p !== null);
+  if (values.length < 2) return '';
+  const max = Math.max(...values);
+  const min = Math.min(...values);
+  const range = max - min || 1;
+  const step = width / (points.length - 1);
+  const coords = points
+    .map((p, i) => p === null ? null : `${(i * step).toFixed(1)},${(height - 2 - ((p - min) / range) * (height - 4)).toFixed(1)}`)
+    .filter(Boolean)
+    .join(' ');
+  return `
+    <svg class="sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img">
+      <title>Response time last ${UPTIME_CONFIG.SPARKLINE_HOURS}h: ${min}-${max}ms</title>
+      <polyline points="${coords}" />
+    </svg>
+  `;
+}
+
+async function handleStatus(req, res) {
+  const now = Date.now();
+  const [latest, history, { incidents, maintenance }, domains] = await Promise.all([
+    loadChecks(),
+    loadHistory(),
+    loadNotices(),
+    loadDomains(now)
   ]);
+  const inMaintenance = new Set(maintenance.filter(m => m.active).flatMap(m => m.services));
+  const checks = SERVICES.map(service => ({
+    ...toStatus(service, latest[service.id], now),
+    ...(inMaintenance.has(service.id) && { status: 'maintenance' }),
+    uptime: history[service.id]?.uptime ?? null
+  }));
+
+  // Planned maintenance doesn't count as an outage, missing data neither
+  const known = checks.filter(c => c.status !== 'unknown');
+  const allOperational = known.every(c => c.status === 'operational' || c.status === 'maintenance');
+  const anyDown = known.some(c => c.status === 'down');
+  const lastChecked = checks.map(c => c.checkedAt).filter(Boolean).sort().pop() || null;
 
-  const allOperational = checks.every(c => c.status === 'operational');
-  const anyDown = checks.some(c => c.status === 'down');
-  
-  const overallStatus = anyDown ? 'major_outage' : allOperational ? 'operational' : 'partial_outage';
+  const overallStatus = known.length === 0 ? 'unknown'
+    : anyDown ? 'major_outage' : allOperational ? 'operational' : 'partial_outage';
 
   const statusEmoji = {
     operational: '🟢',
     degraded: '🟡',
     down: '🔴',
     major_outage: '🔴',
-    partial_outage: '🟡'
+    partial_outage: '🟡',
+    unknown: '⚪'
   };
 
   // Return JSON if requested
   if (req.headers.accept?.includes('application/json')) {
     return res.status(200).json({
       status: overallStatus,
-      timestamp: new Date().toISOString(),
-      services: checks
+      timestamp: new Date(now).toISOString(),
+      lastChecked,
+      services: checks,
+      domains,
+      incidents,
+      maintenance
     });
   }
 
@@ -147,15 +260,25 @@ export default async function handler(req, res) {
     .overall-status.operational { background: #064e3b; color: #6ee7b7; }
     .overall-status.partial_outage { background: #78350f; color: #fcd34d; }
     .overall-status.major_outage { background: #7f1d1d; color: #fca5a5; }
+    .overall-status.unknown { background: #1e293b; color: #94a3b8; }
+    .group-title {
+      font-size: 0.9rem;
+      color: #64748b;
+      text-transform: uppercase;
+      letter-spacing: 1px;
+      margin: 24px 0 12px;
+    }
     .services { display: flex; flex-direction: column; gap: 12px; }
     .service {
-      display: flex;
-      justify-content: space-between;
-      align-items: center;
       background: #1e293b;
       padding: 20px;
       border-radius: 12px;
     }
+    .service-row {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+    }
     .service-info { display: flex; align-items: center; gap: 12px; }
     .service-name { font-weight: 600; }
     .service-url { font-size: 0.85rem; color: #94a3b8; }
@@ -173,7 +296,38 @@ export default async function handler(req, res) {
     .status-dot.operational { background: #22c55e; }
     .status-dot.degraded { background: #eab308; }
     .status-dot.down { background: #ef4444; }
+    .status-dot.maintenance { background: #3b82f6; }
+    .status-dot.unknown { background: #64748b; }
     .response-time { color: #94a3b8; font-size: 0.85rem; }
+    .sparkline polyline { fill: none; stroke: #38bdf8; stroke-width: 1.5; }
+    .uptime-bars { display: flex; gap: 2px; height: 28px; margin-top: 16px; }
+    .bar { flex: 1; border-radius: 2px; }
+    .bar.up { background: #22c55e; }
+    .bar.degraded { background: #eab308; }
+    .bar.down { background: #ef4444; }
+    .bar.none { background: #334155; }
+    .uptime-legend {
+      display: flex;
+      justify-content: space-between;
+      margin-top: 6px;
+      font-size: 0.75rem;
+      color: #64748b;
+    }
+    .domain-problem { color: #f87171; font-size: 0.8rem; margin-top: 2px; }
+    .notice {
+      background: #1e293b;
+      border-left: 4px solid #3b82f6;
+      padding: 16px 20px;
+      border-radius: 12px;
+      margin-bottom: 12px;
+    }
+    .notice.minor { border-color: #eab308; }
+    .notice.major { border-color: #f97316; }
+    .notice.critical { border-color: #ef4444; }
+    .notice-title { font-weight: 600; }
+    .notice-meta { font-size: 0.85rem; color: #94a3b8; margin-top: 4px; }
+    .notice-update { font-size: 0.9rem; margin-top: 10px; }
+    .notice-time { color: #64748b; font-size: 0.8rem; margin-left: 6px; }
     .footer {
       margin-top: 40px;
       text-align: center;
@@ -190,32 +344,73 @@ export default async function handler(req, res) {
     <div class="overall-status ${overallStatus}">
       ${statusEmoji[overallStatus]} 
       ${overallStatus === 'operational' ? 'All Systems Operational' : 
-        overallStatus === 'partial_outage' ? 'Partial System Outage' : 'Major System Outage'}
+        overallStatus === 'partial_outage' ? 'Partial System Outage' :
+        overallStatus === 'unknown' ? 'Status Unavailable' : 'Major System Outage'}
     </div>
+
+    ${renderIncidents(incidents)}
+    ${renderMaintenance(maintenance)}
     
-    <div class="services">
-      ${checks.map(service => `
-        <div class="service">
-          <div class="service-info">
-            <div>
-              <div class="service-name">${service.name}</div>
-              ${service.url ? `<div class="service-url">${service.url}</div>` : ''}
+    ${GROUPS.map(group => `
+      <div class="group-title">${group}</div>
+      <div class="services">
+        ${checks.filter(service => service.group === group).map(service => `
+          <div class="service">
+            <div class="service-row">
+              <div class="service-info">
+                <div>
+                  <div class="service-name">${service.name}</div>
+                  ${service.url ? `<div class="service-url">${service.url}</div>` : ''}
+                </div>
+              </div>
+              <div class="service-status">
+                ${history[service.id] ? renderSparkline(history[service.id].sparkline) : ''}
+                ${service.responseTime === null ? '' : `<span class="response-time">${service.responseTime}ms</span>`}
+                <div class="status-dot ${service.status}"></div>
+                <span>${service.status === 'operational' ? 'Operational' : 
+                       service.status === 'degraded' ? 'Degraded' :
+                       service.status === 'maintenance' ? 'Maintenance' :
+                       service.status === 'unknown' ? 'No data' : 'Down'}</span>
+              </div>
             </div>
+            ${history[service.id] ? `
+              ${renderUptimeBars(history[service.id].days)}
+              <div class="uptime-legend">
+                <span>${UPTIME_CONFIG.DAYS} days ago</span>
+                <span>${service.uptime === null ? 'No data yet' : `${service.uptime}% uptime`}</span>
+                <span>Today</span>
+              </div>
+            ` : ''}
           </div>
-          <div class="service-status">
-            <span class="response-time">${service.responseTime}ms</span>
-            <div class="status-dot ${service.status}"></div>
-            <span>${service.status === 'operational' ? 'Operational' : 
-                   service.status === 'degraded' ? 'Degraded' : 'Down'}</span>
+        `).join('')}
+      </div>
+    `).join('')}
+
+    ${domains.length > 0 ? `
+      <div class="group-title">Domains</div>
+      <div class="services">
+        ${domains.map(d => `
+          <div class="service">
+            <div class="service-row">
+              <div class="service-info">
+                <div>
+                  <div class="service-name">${d.host}</div>
+                  ${d.problems.map(p => `<div class="domain-problem">${escapeHtml(p)}</div>`).join('')}
+                </div>
+              </div>
+              <div class="service-status">
+                <span class="response-time">${d.daysLeft === null ? 'No certificate' : `TLS expires in ${d.daysLeft} days (${d.validTo.slice(0, 10)})`}</span>
+                <div class="status-dot ${d.status}"></div>
+              </div>
+            </div>
           </div>
-        </div>
-      `).join('')}
-    </div>
+        `).join('')}
+      </div>
+    ` : ''}
     
     <div class="footer">
-      <p>Last updated: ${new Date().toLocaleString('sv-SE')}</p>
+      <p>Last checked: ${lastChecked ? formatDate(lastChecked) : 'never'}</p>
       <p style="margin-top: 10px;">
-        <a href="/api/test">Run Full Test Suite</a> · 
         <a href="/api/health">Health Check</a>
       </p>
     </div>
@@ -227,3 +422,15 @@ export default async function handler(req, res) {
   res.setHeader('Content-Type', 'text/html');
   return res.status(200).send(html);
 }
+
+// One trace per request: the Supabase reads and, when the cache is cold, the domain checks
+export default async function handler(req, res) {
+  const trace = startTrace('GET /api/status', { runId: randomUUID() });
+  res.setHeader('X-Run-Id', trace.runId);
+  res.setHeader('X-Trace-Id', trace.traceId);
+  try {
+    return await runWithTrace(trace, () => handleStatus(req, res));
+  } finally {
+    await exportTrace(trace);
+  }
+}
@@ -0,0 +1,141 @@
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import yaml from 'js-yaml';
+import { HOSTS } from './services.js';
+import { TRACING_CONFIG } from './tracing.js';
+
+// ============================================
+// AI LOGIC (PROMPTFOO)
+// Runs the tests in promptfooconfig.yaml - the same file CI runs
+// against localhost - against the production engine, once per
+// customer slug. llm-rubric assertions are graded by Gemini.
+// Every case opens a real chat session in production - the engine's
+// session ids are collected so the run's cleanup deletes them.
+// Cost per run: slugs x tests engine calls (each one a Gemini reply)
+// plus one grader call per llm-rubric assertion per slug - hence MAX_SLUGS.
+// ============================================
+
+export const AI_LOGIC_CONFIG = {
+  // Bundled with api/test.js via includeFiles in vercel.json
+  CONFIG_PATH: join(process.cwd(), 'promptfooconfig.yaml'),
+  ENDPOINT: `${HOSTS.engine}/api/chat`,
+  // Any promptfoo provider id works, e.g. openai:gpt-4o-mini (needs OPENAI_API_KEY)
+  GRADER: process.env.AI_LOGIC_GRADER || 'google:gemini-2.0-flash-exp',
+  MAX_CONCURRENCY: parseInt(process.env.AI_LOGIC_CONCURRENCY, 10) || 4,
+  // Customers tested when AI_LOGIC_SLUGS isn't set, first by slug
+  MAX_SLUGS: parseInt(process.env.AI_LOGIC_MAX_SLUGS, 10) || 3
+};
+
+export function loadPromptfooConfig(path = AI_LOGIC_CONFIG.CONFIG_PATH) {
+  const config = yaml.load(readFileSync(path, 'utf8'));
+  if (!Array.isArray(config?.tests) || config.tests.length === 0) throw new Error(`No tests in ${path}`);
+  if (!config.providers?.[0]?.config) throw new Error(`No provider config in ${path}`);
+  return config;
+}
+
+// The first MAX_SLUGS customer slugs - AI_LOGIC_SLUGS (comma-separated) overrides
+export async function getCustomerSlugs(supabase) {
+  if (process.env.AI_LOGIC_SLUGS) {
+    return process.env.AI_LOGIC_SLUGS.split(',').map(s => s.trim()).filter(Boolean);
+  }
+  const { data, error } = await supabase
+    .from('customers')
+    .select('slug')
+    .order('slug', { ascending: true });
+  if (error) throw new Error(error.message);
+  const slugs = data.map(c => c.slug).filter(Boolean);
+  if (slugs.length > AI_LOGIC_CONFIG.MAX_SLUGS) {
+    console.warn(`AI Logic: testing ${AI_LOGIC_CONFIG.MAX_SLUGS} of ${slugs.length} slugs (AI_LOGIC_MAX_SLUGS)`);
+  }
+  return slugs.slice(0, AI_LOGIC_CONFIG.MAX_SLUGS);
+}
+
+/**
+ * One case per test per slug, named "<slug>: <description>".
+ * The slug var from the config is replaced, everything else is kept.
+ */
+export function buildCases(config, slugs) {
+  return slugs.flatMap(slug => config.tests.map((test, i) => ({
+    name: `${slug}: ${test.description || `Test ${i + 1}`}`,
+    slug,
+    test
+  })));
+}
+
+function gradingProvider() {
+  return AI_LOGIC_CONFIG.GRADER.startsWith('google:')
+    ? { id: AI_LOGIC_CONFIG.GRADER, config: { apiKey: process.env.GEMINI_API_KEY } }
+    : AI_LOGIC_CONFIG.GRADER;
+}
+
+// Outcome of every assertion, llm-rubric reasons included
+function toAssertions(gradingResult) {
+  return (gradingResult?.componentResults || []).map(c => ({
+    type: c.assertion?.type || 'unknown',
+    pass: c.pass,
+    reason: c.reason
+  }));
+}
+
+/**
+ * Run the cases through promptfoo against production.
+ * The engine's session id of every reply is pushed to options.sessionIds
+ * as it arrives, so a run that throws halfway still knows what to delete.
+ * Returns { [name]: { passed, error, latencyMs, assertions: [{ type, pass, reason }] } }
+ * @param {object} config
+ * @param {Array<{ name: string, slug: string, test: object }>} cases
+ * @param {{ runId?: string, sessionIds?: string[] }} [options]
+ */
+export async function runPromptfoo(config, cases, { runId, sessionIds = [] } = {}) {
+  // promptfoo is heavy - only load it when the AI Logic category runs.
+  // Its telemetry would report every production run to promptfoo.
+  process.env.PROMPTFOO_DISABLE_TELEMETRY = '1';
+  const { default: promptfoo } = await import('promptfoo');
+  const provider = config.providers[0];
+  const summary = await promptfoo.evaluate({
+    providers: [{
+      id: AI_LOGIC_CONFIG.ENDPOINT,
+      config: {
+        ...provider.config,
+        // The key goes straight into the header - as a var it would end up in summary.results[].vars
+        headers: {
+          ...provider.config.headers,
+          'X-Internal-API-Key': process.env.INTERNAL_API_KEY,
+          [TRACING_CONFIG.RUN_ID_HEADER]: runId
+        },
+        // Same output as the config's "json.response", plus the session id
+        responseParser: json => {
+          if (json?.sessionId) sessionIds.push(json.sessionId);
+          return json?.response;
+        }
+      }
+    }],
+    prompts: ['{{user_input}}'],
+    defaultTest: {
+      ...config.defaultTest,
+      options: { ...config.defaultTest?.options, provider: gradingProvider() }
+    },
+    // timestamp only makes the sessionId unique - every case is its own conversation
+    tests: cases.map((c, i) => ({
+      ...c.test,
+      vars: {
+        ...c.test.vars,
+        slug: c.slug,
+        timestamp: `${runId}-${i}`,
+        monitoring_test: c.name
+      }
+    })),
+    writeLatestResults: false
+  }, { maxConcurrency: AI_LOGIC_CONFIG.MAX_CONCURRENCY, cache: false, showProgressBar: false });
+
+  return Object.fromEntries(summary.results.map(r => {
+    const assertions = toAssertions(r.gradingResult);
+    const failedAssertions = assertions.filter(a => !a.pass).map(a => `${a.type}: ${a.reason}`);
+    return [r.vars.monitoring_test, {
+      passed: r.success,
+      error: failedAssertions.join('; ') || r.error || r.gradingResult?.reason || null,
+      latencyMs: r.latencyMs,
+      assertions
+    }];
+  }));
+}
@@ -0,0 +1,146 @@
+import { notify } from './notifiers/index.js';
+import { signLink } from './auth.js';
+import { selectAll } from './supabase.js';
+
+// ============================================
+// ALERT STATE MACHINE
+// One row per test/service in monitoring_alerts:
+//   ok -> failing   : alert sent
+//   failing -> failing : silent, reminder after ALERT_RENOTIFY_HOURS
+//   failing -> resolved : recovery sent
+//   resolved -> ok  : silent
+// ============================================
+
+export const ALERT_CONFIG = {
+  RENOTIFY_MS: (parseFloat(process.env.ALERT_RENOTIFY_HOURS) || 72) * 60 * 60 * 1000,
+  MONITORING_URL: 'https://eryai-monitoring.vercel.app'
+};
+
+// signed: the route needs auth, so the link in the alert carries a short-lived signature
+const SOURCE_LABELS = {
+  test: { unit: 'test(s)', link: '/api/test', signed: true },
+  health: { unit: 'service(s)', link: '/api/health' },
+  sla: { unit: 'SLA check(s)', link: '/api/sla', signed: true }
+};
+
+/**
+ * Compare this run's observations with stored alert state and persist the new state.
+ * observations: [{ key, source, name, failing, critical, error }]
+ * Returns the transitions that need a notification:
+ *   opened    - newly failing
+ *   reminders - still failing and the re-notify interval has passed
+ *   recovered - failing before, fine now
+ */
+export async function evaluateAlerts(supabase, observations, { now = new Date(), renotifyMs = ALERT_CONFIG.RENOTIFY_MS } = {}) {
+  const transitions = { opened: [], reminders: [], recovered: [] };
+  if (observations.length === 0) return transitions;
+
+  // Filter on source, not on every key - a full test run's keys would overflow the URL
+  let rows;
+  try {
+    rows = await selectAll(() => supabase
+      .from('monitoring_alerts')
+      .select('alert_key, state, failing_since, last_notified_at')
+      .in('source', [...new Set(observations.map(o => o.source))])
+      .order('alert_key', { ascending: true }));
+  } catch (error) {
+    // Without stored state every failure would look new - stay quiet, the next run retries
+    console.error('Failed to load alert state:', error.message);
+    return transitions;
+  }
+
+  const previous = Object.fromEntries(rows.map(r => [r.alert_key, r]));
+  const nowIso = now.toISOString();
+  const updates = [];
+
+  for (const obs of observations) {
+    const prev = previous[obs.key];
+    const wasFailing = prev?.state === 'failing';
+    const base = {
+      alert_key: obs.key,
+      source: obs.source,
+      name: obs.name,
+      updated_at: nowIso
+    };
+
+    if (obs.failing && !wasFailing) {
+      transitions.opened.push(obs);
+      updates.push({ ...base, state: 'failing', failing_since: nowIso, last_error: obs.error, last_notified_at: nowIso, resolved_at: null });
+    } else if (obs.failing) {
+      const lastNotified = prev.last_notified_at ? new Date(prev.last_notified_at).getTime() : 0;
+      const remind = now.getTime() - lastNotified >= renotifyMs;
+      if (remind) transitions.reminders.push({ ...obs, failingSince: prev.failing_since });
+      updates.push({ ...base, state: 'failing', last_error: obs.error, ...(remind && { last_notified_at: nowIso }) });
+    } else if (wasFailing) {
+      transitions.recovered.push({ ...obs, failingSince: prev.failing_since });
+      updates.push({ ...base, state: 'resolved', resolved_at: nowIso });
+    } else if (!prev || prev.state === 'resolved') {
+      updates.push({ ...base, state: 'ok' });
+    }
+  }
+
+  if (updates.length > 0) {
+    const { error: upsertError } = await supabase
+      .from('monitoring_alerts')
+      .upsert(updates, { onConflict: 'alert_key' });
+    if (upsertError) console.error('Failed to store alert state:', upsertError.message);
+  }
+
+  return transitions;
+}
+
+// ==================== NOTIFICATIONS ====================
+/**
+ * Turn transitions into alert events for lib/notifiers.
+ * details: [[label, value]] rows shown with the alert, warnings: [{ name, error }]
+ * Severity: critical if a critical service is failing, error for other failures,
+ * warning when only warnings are present, info for recoveries.
+ */
+export async function notifyAlerts({ source, opened, reminders, recovered, warnings = [], details = [], total }) {
+  const labels = SOURCE_LABELS[source];
+  const url = `${ALERT_CONFIG.MONITORING_URL}${labels.signed ? signLink(labels.link) : labels.link}`;
+  const failing = [...opened, ...reminders];
+
+  if (failing.length > 0) {
+    await notify({
+      kind: 'alert',
+      severity: failing.some(f => f.critical) ? 'critical' : 'error',
+      source,
+      emoji: opened.length > 0 ? '🚨' : '⏰',
+      title: opened.length > 0
+        ? `EryAI System Alert: ${failing.length} ${labels.unit} failed`
+        : `EryAI Reminder: ${failing.length} ${labels.unit} still failing`,
+      url,
+      total,
+      details,
+      opened,
+      reminders,
+      warnings
+    });
+  } else if (warnings.length > 0) {
+    await notify({
+      kind: 'warning',
+      severity: 'warning',
+      source,
+      emoji: '⚠️',
+      title: `EryAI Warning: ${warnings.length} ${labels.unit} outside target`,
+      url,
+      total,
+      details,
+      warnings
+    });
+  }
+
+  if (recovered.length > 0) {
+    await notify({
+      kind: 'recovery',
+      severity: 'info',
+      source,
+      emoji: '✅',
+      title: `EryAI Recovered: ${recovered.length} ${labels.unit} back to normal`,
+      url,
+      details,
+      recovered
+    });
+  }
+}
@@ -0,0 +1,98 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+
+// ============================================
+// AUTH FOR INTERNAL ROUTES
+// Three ways in:
+//   cron   - Vercel cron, Authorization: Bearer <CRON_SECRET>
+//   key    - X-Internal-API-Key header, same as the dashboard's /api/push/send
+//            (or Authorization: Bearer <INTERNAL_API_KEY>)
+//   link   - ?expires=&sig= signed with LINK_SIGNING_SECRET, for buttons in emails.
+//            The signature covers the path and the whole query, so a link
+//            can't be edited into a different run.
+// ============================================
+
+export const AUTH_CONFIG = {
+  LINK_TTL_MS: (parseFloat(process.env.SIGNED_LINK_TTL_HOURS) || 24) * 60 * 60 * 1000
+};
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+// Falls back to INTERNAL_API_KEY so links work without extra setup
+function linkSecret() {
+  return process.env.LINK_SIGNING_SECRET || process.env.INTERNAL_API_KEY;
+}
+
+// Sorted query without sig, e.g. "category=Engine&expires=1700000000000"
+function canonicalQuery(params) {
+  const sorted = new URLSearchParams([...params].filter(([key]) => key !== 'sig'));
+  sorted.sort();
+  return sorted.toString();
+}
+
+function sign(path, query) {
+  return createHmac('sha256', linkSecret()).update(`${path}?${query}`).digest('hex');
+}
+
+// Also accepted as Authorization: Bearer <key> - Prometheus scrape configs can only set that header
+export function hasInternalKey(req) {
+  const expected = process.env.INTERNAL_API_KEY;
+  const provided = req.headers?.['x-internal-api-key'];
+  const bearer = req.headers?.authorization;
+  return Boolean(expected && (
+    (provided && safeEqual(provided, expected)) ||
+    (bearer && safeEqual(bearer, `Bearer ${expected}`))
+  ));
+}
+
+function hasCronSecret(req) {
+  const secret = process.env.CRON_SECRET;
+  const provided = req.headers?.authorization;
+  return Boolean(secret && provided && safeEqual(provided, `Bearer ${secret}`));
+}
+
+/**
+ * Signed link to an internal route, valid for AUTH_CONFIG.LINK_TTL_MS.
+ * Query params (?format=, ?category=) must be passed in `query` - anything
+ * appended afterwards invalidates the signature.
+ * @param {string} path
+ * @param {{ query?: Object<string, string>, now?: number, ttlMs?: number }} [options]
+ */
+export function signLink(path, { query = {}, now = Date.now(), ttlMs = AUTH_CONFIG.LINK_TTL_MS } = {}) {
+  const params = new URLSearchParams({ ...query });
+  if (!linkSecret()) return params.toString() ? `${path}?${params}` : path;
+  params.set('expires', String(now + ttlMs));
+  const canonical = canonicalQuery(params);
+  return `${path}?${canonical}&sig=${sign(path, canonical)}`;
+}
+
+function hasValidSignature(req, now) {
+  const url = new URL(req.url || '/', 'http://localhost');
+  const expires = url.searchParams.get('expires');
+  const sig = url.searchParams.get('sig');
+  if (!linkSecret() || !expires || !sig) return false;
+  if (Number(expires) < now) return false;
+  return safeEqual(sig, sign(url.pathname, canonicalQuery(url.searchParams)));
+}
+
+/**
+ * Who is calling: { method: 'cron' | 'key' | 'link', key } or null.
+ * key identifies the caller for rate limiting - all signed links share one
+ * bucket, since every report hands out a fresh link.
+ */
+export function authenticate(req, now = Date.now()) {
+  if (hasCronSecret(req)) return { method: 'cron', key: 'cron' };
+  if (hasInternalKey(req)) return { method: 'key', key: 'internal-api-key' };
+  if (hasValidSignature(req, now)) return { method: 'link', key: 'link' };
+  return null;
+}
+
+// Helper: Sends the 401 itself - callers just return when this is false
+export function requireInternalKey(req, res) {
+  if (hasInternalKey(req)) return true;
+  res.status(401).json({ error: 'Unauthorized' });
+  return false;
+}
@@ -0,0 +1,182 @@
+import { getSupabase } from './supabase.js';
+import { tracedFetch, withSpan } from './tracing.js';
+
+// ============================================
+// SERVICE CHECKS
+// Runs the check for a catalog entry (see lib/services.js).
+// Result: ok = fully healthy, reachable = we got an answer at all
+// ============================================
+
+const ENV = {
+  geminiKey: process.env.GEMINI_API_KEY,
+  resendKey: process.env.RESEND_API_KEY
+};
+
+class CheckError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ reachable?: boolean, statusCode?: number }} [details]
+   */
+  constructor(message, { reachable = false, statusCode = undefined } = {}) {
+    super(message);
+    this.reachable = reachable;
+    this.statusCode = statusCode;
+  }
+}
+
+function withTimeout(promise, timeout) {
+  let timer;
+  const timeoutPromise = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error('Timeout')), timeout);
+  });
+  return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
+}
+
+async function checkHttp(service) {
+  const response = await tracedFetch(service.url, {
+    method: service.method || 'GET',
+    ...(service.body && {
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(service.body)
+    }),
+    signal: AbortSignal.timeout(service.timeout)
+  });
+  const accepted = response.ok || service.acceptStatus?.includes(response.status);
+  if (!accepted) {
+    throw new CheckError(`HTTP ${response.status}`, { reachable: true, statusCode: response.status });
+  }
+  return { statusCode: response.status };
+}
+
+async function checkSupabase() {
+  const { error } = await getSupabase().from('customers').select('id').limit(1);
+  if (error) throw new CheckError(error.message, { reachable: true });
+  return {};
+}
+
+async function checkGemini(service) {
+  if (!ENV.geminiKey) throw new CheckError('API key missing');
+
+  const response = await tracedFetch(
+    `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash-exp:generateContent?key=${ENV.geminiKey}`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        contents: [{ role: 'user', parts: [{ text: 'Reply with OK' }] }],
+        generationConfig: { maxOutputTokens: 5 }
+      }),
+      signal: AbortSignal.timeout(service.timeout)
+    }
+  );
+
+  if (!response.ok) {
+    throw new CheckError(`API error: ${response.status}`, { reachable: true, statusCode: response.status });
+  }
+  return { statusCode: response.status };
+}
+
+async function checkResend(service) {
+  if (!ENV.resendKey) throw new CheckError('API key missing');
+
+  // Check API key validity by calling domains endpoint (doesn't send email)
+  const response = await tracedFetch('https://api.resend.com/domains', {
+    headers: { 'Authorization': `Bearer ${ENV.resendKey}` },
+    signal: AbortSignal.timeout(service.timeout)
+  });
+
+  if (!response.ok) {
+    throw new CheckError(`API error: ${response.status}`, { reachable: true, statusCode: response.status });
+  }
+  return { statusCode: response.status };
+}
+
+const THIRD_PARTY_CHECKS = {
+  gemini: checkGemini,
+  resend: checkResend
+};
+
+function getCheckFn(service) {
+  if (service.kind === 'page' || service.kind === 'api') return checkHttp;
+  if (service.kind === 'database') return checkSupabase;
+  const fn = THIRD_PARTY_CHECKS[service.id];
+  if (!fn) throw new Error(`No check defined for service: ${service.id}`);
+  return fn;
+}
+
+export function runCheck(service) {
+  return withSpan(`check ${service.id}`, { 'service.id': service.id, 'service.kind': service.kind }, async span => {
+    const result = await executeCheck(service);
+    span.setAttributes({ 'check.ok': result.ok, 'check.response_time_ms': result.responseTime });
+    if ('error' in result) span.setError(result.error);
+    return result;
+  });
+}
+
+async function executeCheck(service) {
+  const start = Date.now();
+  const base = {
+    id: service.id,
+    name: service.name,
+    url: service.url,
+    kind: service.kind,
+    group: service.group,
+    critical: service.critical
+  };
+  try {
+    const checkFn = getCheckFn(service);
+    const result = await withTimeout(checkFn(service), service.timeout);
+    return {
+      ...base,
+      ok: true,
+      reachable: true,
+      statusCode: result.statusCode,
+      responseTime: Date.now() - start
+    };
+  } catch (error) {
+    return {
+      ...base,
+      ok: false,
+      reachable: error.reachable || false,
+      statusCode: error.statusCode,
+      error: error.message,
+      responseTime: Date.now() - start
+    };
+  }
+}
+
+export function runChecks(services) {
+  return Promise.all(services.map(runCheck));
+}
+
+// Store results so availability and uptime can be computed over time
+export async function recordChecks(supabase, checks) {
+  const checkedAt = new Date().toISOString();
+  const { error } = await supabase
+    .from('monitoring_check_results')
+    .insert(checks.map(c => ({
+      service_id: c.id,
+      status: c.ok ? 'ok' : 'error',
+      response_time_ms: c.responseTime,
+      status_code: c.statusCode ?? null,
+      error: c.error || null,
+      checked_at: checkedAt
+    })));
+  if (error) console.error('Failed to store check results:', error.message);
+}
+
+// Latest stored result per service - every /api/health run writes all services at once
+export async function getLatestChecks(supabase, services) {
+  const { data, error } = await supabase
+    .from('monitoring_check_results')
+    .select('service_id, status, response_time_ms, status_code, error, checked_at')
+    .order('checked_at', { ascending: false })
+    .limit(services.length * 2);
+  if (error) throw new Error(error.message);
+
+  const latest = {};
+  data.forEach(row => {
+    if (!latest[row.service_id]) latest[row.service_id] = row;
+  });
+  return latest;
+}
@@ -0,0 +1,179 @@
+import tls from 'tls';
+import net from 'net';
+import { promises as dns } from 'dns';
+import { HOSTS } from './services.js';
+import { withSpan } from './tracing.js';
+
+// ============================================
+// DOMAINS
+// TLS certificate and DNS checks for every EryAI host. A GET that
+// succeeds today says nothing about a certificate that lapses next week
+// or a record someone repointed.
+// ============================================
+
+export const DOMAIN_CONFIG = {
+  // Days left on the certificate
+  WARN_DAYS: 21,
+  FAIL_DAYS: 7,
+  TIMEOUT: 10000
+};
+
+const hostname = url => new URL(url).hostname;
+
+// Vercel's documented records for custom domains: the apex points at its
+// anycast IPs, subdomains at its CNAME target (per-project targets included)
+const VERCEL_A = ['76.76.21.21', /^216\.198\.79\.\d+$/];
+const VERCEL_CNAME = [/(^|\.)vercel-dns(-\d+)?\.com$/];
+
+/**
+ * @typedef {Object} Domain
+ * @property {string} id - Stable key, the service id where there is one
+ * @property {string} host
+ * @property {number} [port] - TLS port (default 443)
+ * @property {Object<string, Array<string | RegExp>>} [dns] - Record type -> values every record must match.
+ *   Without expectations the host only has to resolve.
+ */
+
+/** @type {Domain[]} */
+export const DOMAINS = [
+  { id: 'landing', host: hostname(HOSTS.landing), dns: { A: VERCEL_A } },
+  { id: 'dashboard', host: hostname(HOSTS.dashboard), dns: { CNAME: VERCEL_CNAME } },
+  { id: 'sales', host: hostname(HOSTS.sales), dns: { CNAME: VERCEL_CNAME } },
+  { id: 'engine', host: hostname(HOSTS.engine) },
+  { id: 'demo', host: hostname(HOSTS.demo) }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Connect, read the certificate and close. Chain problems don't abort the
+ * handshake - they are reported, like a hostname mismatch.
+ * options.ca / options.servername make it testable against a local server.
+ * Returns { subject, issuer, validFrom, validTo, daysLeft, authorized, chainError, hostnameError }
+ * @param {string} host
+ * @param {{ port?: number, ca?: string | Buffer, servername?: string, timeout?: number, now?: number }} [options]
+ */
+export function checkTls(host, { port = 443, ca, servername = host, timeout = DOMAIN_CONFIG.TIMEOUT, now = Date.now() } = {}) {
+  return new Promise((resolve, reject) => {
+    // SNI can't carry an IP address
+    const socket = tls.connect({ host, port, servername: net.isIP(servername) ? undefined : servername, ca, rejectUnauthorized: false });
+    socket.setTimeout(timeout, () => socket.destroy(new Error('TLS handshake timeout')));
+    socket.once('error', reject);
+    socket.once('secureConnect', () => {
+      const cert = socket.getPeerCertificate();
+      socket.end();
+      if (!cert || !cert.valid_to) {
+        reject(new Error('No certificate presented'));
+        return;
+      }
+      const validTo = new Date(cert.valid_to);
+      resolve({
+        subject: cert.subject?.CN || null,
+        issuer: cert.issuer?.O || cert.issuer?.CN || null,
+        validFrom: new Date(cert.valid_from).toISOString(),
+        validTo: validTo.toISOString(),
+        daysLeft: Math.floor((validTo.getTime() - now) / DAY_MS),
+        authorized: socket.authorized,
+        // A hostname mismatch also fails authorization - it is reported on its own below
+        chainError: socket.authorized || String(socket.authorizationError) === 'ERR_TLS_CERT_ALTNAME_INVALID'
+          ? null
+          : String(socket.authorizationError),
+        hostnameError: tls.checkServerIdentity(servername, cert)?.message || null
+      });
+    });
+  });
+}
+
+/**
+ * 'failed' for a broken chain, wrong hostname or < FAIL_DAYS left,
+ * 'warning' for < WARN_DAYS left. Returns { status, problems }
+ */
+export function tlsStatus(result) {
+  const failures = [];
+  if (result.chainError) failures.push(`Chain invalid: ${result.chainError}`);
+  if (result.hostnameError) failures.push(`Hostname mismatch: ${result.hostnameError}`);
+
+  const expiry = `${result.daysLeft < 0 ? `expired ${-result.daysLeft} day(s) ago` : `expires in ${result.daysLeft} day(s)`} (${result.validTo.slice(0, 10)}, ${result.issuer})`;
+  if (result.daysLeft < DOMAIN_CONFIG.FAIL_DAYS) {
+    failures.push(`Certificate ${expiry} (fail threshold: ${DOMAIN_CONFIG.FAIL_DAYS} days)`);
+  }
+  if (failures.length > 0) return { status: 'failed', problems: failures };
+  if (result.daysLeft < DOMAIN_CONFIG.WARN_DAYS) {
+    return { status: 'warning', problems: [`Certificate ${expiry} (warning threshold: ${DOMAIN_CONFIG.WARN_DAYS} days)`] };
+  }
+  return { status: 'ok', problems: [] };
+}
+
+const RESOLVE = {
+  A: (resolver, host) => resolver.resolve4(host),
+  AAAA: (resolver, host) => resolver.resolve6(host),
+  CNAME: (resolver, host) => resolver.resolveCname(host),
+  MX: (resolver, host) => resolver.resolveMx(host).then(records => records.map(r => r.exchange)),
+  TXT: (resolver, host) => resolver.resolveTxt(host).then(records => records.map(r => r.join('')))
+};
+
+const matches = (value, expected) => expected.some(e => e instanceof RegExp ? e.test(value) : e === value);
+
+/**
+ * Resolve every expected record type (A when there are none) and compare.
+ * resolver: anything with the dns.promises resolve* methods, e.g. a Resolver
+ * pointed at a local server.
+ * Returns { records: { [type]: [value] }, mismatches: [message] }
+ */
+export async function checkDns(domain, resolver = dns) {
+  const expectations = domain.dns || { A: null };
+  const records = {};
+  const mismatches = [];
+
+  for (const [type, expected] of Object.entries(expectations)) {
+    try {
+      records[type] = await RESOLVE[type](resolver, domain.host);
+    } catch (error) {
+      records[type] = [];
+      mismatches.push(`${type}: ${error.code || error.message}`);
+      continue;
+    }
+    if (records[type].length === 0) {
+      mismatches.push(`${type}: no records`);
+    } else if (expected) {
+      const unexpected = records[type].filter(value => !matches(value, expected));
+      if (unexpected.length > 0) {
+        mismatches.push(`${type}: got ${unexpected.join(', ')}, expected ${expected.map(String).join(' or ')}`);
+      }
+    }
+  }
+  return { records, mismatches };
+}
+
+/**
+ * Both checks for one domain; errors are captured so one bad host never
+ * hides the others. Returns { id, host, tls, tlsError, dns, dnsError }
+ * @param {Domain} domain
+ * @param {{ ca?: string | Buffer, resolver?: object }} [options]
+ */
+export function checkDomain(domain, { ca, resolver } = {}) {
+  return withSpan(`domain ${domain.host}`, { 'domain.host': domain.host }, async span => {
+    const [tlsResult, dnsResult] = await Promise.allSettled([
+      checkTls(domain.host, { port: domain.port, ca }),
+      checkDns(domain, resolver)
+    ]);
+    const result = {
+      id: domain.id,
+      host: domain.host,
+      tls: tlsResult.status === 'fulfilled' ? tlsResult.value : null,
+      tlsError: tlsResult.status === 'rejected' ? tlsResult.reason.message : null,
+      dns: dnsResult.status === 'fulfilled' ? dnsResult.value : null,
+      dnsError: dnsResult.status === 'rejected' ? dnsResult.reason.message : null
+    };
+    if (result.tls) span.setAttributes({ 'tls.days_left': result.tls.daysLeft });
+    return result;
+  });
+}
+
+/**
+ * @param {Domain[]} [domains]
+ * @param {{ ca?: string | Buffer, resolver?: object }} [options]
+ */
+export function checkDomains(domains = DOMAINS, options = {}) {
+  return Promise.all(domains.map(d => checkDomain(d, options)));
+}
@@ -0,0 +1,46 @@
+import { selectAll } from './supabase.js';
+
+// ============================================
+// FLAKE RATES
+// How often each test needed a retry (status 'flaky') over the
+// last N full runs - the tests worth fixing first. Partial runs are left
+// out so the hourly cron doesn't crowd the daily suite out of the window.
+// ============================================
+
+/**
+ * Returns { runs, tests: [{ category, name, runs, flaky, failed, flakeRate }] },
+ * only tests that were flaky at least once, highest flake rate first.
+ */
+export async function getFlakeRates(supabase, { runs = 20, limit = 10 } = {}) {
+  const { data: recentRuns, error } = await supabase
+    .from('monitoring_runs')
+    .select('id')
+    .eq('is_full', true)
+    .order('started_at', { ascending: false })
+    .limit(runs);
+  if (error) throw new Error(error.message);
+  if (recentRuns.length === 0) return { runs: 0, tests: [] };
+
+  const results = await selectAll(() => supabase
+    .from('monitoring_test_results')
+    .select('category, name, status')
+    .in('run_id', recentRuns.map(r => r.id))
+    .order('id', { ascending: true }));
+
+  const byTest = {};
+  results.forEach(r => {
+    const key = `${r.category}/${r.name}`;
+    byTest[key] = byTest[key] || { category: r.category, name: r.name, runs: 0, flaky: 0, failed: 0 };
+    byTest[key].runs++;
+    if (r.status === 'flaky') byTest[key].flaky++;
+    if (r.status === 'failed') byTest[key].failed++;
+  });
+
+  const tests = Object.values(byTest)
+    .filter(t => t.flaky > 0)
+    .map(t => ({ ...t, flakeRate: Math.round((t.flaky / t.runs) * 1000) / 1000 }))
+    .sort((a, b) => b.flakeRate - a.flakeRate || b.flaky - a.flaky)
+    .slice(0, limit);
+
+  return { runs: recentRuns.length, tests };
+}
@@ -0,0 +1,140 @@
+import { getService } from './services.js';
+
+// ============================================
+// INCIDENTS AND MAINTENANCE WINDOWS
+// monitoring_incidents          - one row per incident, current status
+// monitoring_incident_updates   - timeline, one row per status update
+// monitoring_maintenance        - planned windows; alerts are suppressed
+//                                 for their services while active
+// ============================================
+
+export const INCIDENT_STATUSES = ['investigating', 'identified', 'monitoring', 'resolved'];
+export const INCIDENT_SEVERITIES = ['minor', 'major', 'critical'];
+
+export class ValidationError extends Error {}
+
+function validateServices(services) {
+  if (!Array.isArray(services) || services.length === 0) {
+    throw new ValidationError('services must be a non-empty array of service ids');
+  }
+  const unknown = services.filter(id => !getService(id));
+  if (unknown.length > 0) throw new ValidationError(`Unknown service(s): ${unknown.join(', ')}`);
+  return services;
+}
+
+function validateOneOf(value, allowed, field) {
+  if (!allowed.includes(value)) throw new ValidationError(`${field} must be one of: ${allowed.join(', ')}`);
+  return value;
+}
+
+function validateText(value, field) {
+  if (typeof value !== 'string' || !value.trim()) throw new ValidationError(`${field} is required`);
+  return value.trim();
+}
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Postgres rejects a malformed uuid with an error - make it a 400 instead
+function validateId(value) {
+  if (typeof value !== 'string' || !UUID_PATTERN.test(value)) throw new ValidationError('id must be a UUID');
+  return value;
+}
+
+function validateDate(value, field) {
+  const time = new Date(value).getTime();
+  if (!value || Number.isNaN(time)) throw new ValidationError(`${field} must be an ISO date`);
+  return new Date(time).toISOString();
+}
+
+// ==================== INCIDENTS ====================
+export async function listIncidents(supabase, { includeResolved = false, limit = 20 } = {}) {
+  let query = supabase
+    .from('monitoring_incidents')
+    .select('*, updates:monitoring_incident_updates(status, message, created_at)')
+    .order('created_at', { ascending: false })
+    .limit(limit);
+  if (!includeResolved) query = query.neq('status', 'resolved');
+
+  const { data, error } = await query;
+  if (error) throw new Error(error.message);
+  return data.map(incident => ({
+    ...incident,
+    updates: [...incident.updates].sort((a, b) => b.created_at.localeCompare(a.created_at))
+  }));
+}
+
+// The incident and its first timeline entry are written in one transaction
+export async function createIncident(supabase, body = {}) {
+  const { data, error } = await supabase
+    .rpc('monitoring_create_incident', {
+      p_title: validateText(body.title, 'title'),
+      p_severity: validateOneOf(body.severity, INCIDENT_SEVERITIES, 'severity'),
+      p_services: validateServices(body.services),
+      p_status: validateOneOf(body.status || 'investigating', INCIDENT_STATUSES, 'status'),
+      p_message: validateText(body.message, 'message')
+    })
+    .single();
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+// A timeline update - also moves the incident to the new status, in the same transaction
+export async function addIncidentUpdate(supabase, id, body = {}) {
+  const { data, error } = await supabase
+    .rpc('monitoring_add_incident_update', {
+      p_incident_id: validateId(id),
+      p_status: validateOneOf(body.status, INCIDENT_STATUSES, 'status'),
+      p_message: validateText(body.message, 'message'),
+      ...(body.severity && { p_severity: validateOneOf(body.severity, INCIDENT_SEVERITIES, 'severity') })
+    })
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+// ==================== MAINTENANCE ====================
+// Active and upcoming windows, soonest first
+export async function listMaintenance(supabase, { now = new Date() } = {}) {
+  const { data, error } = await supabase
+    .from('monitoring_maintenance')
+    .select('*')
+    .gt('ends_at', now.toISOString())
+    .order('starts_at', { ascending: true });
+  if (error) throw new Error(error.message);
+  return data.map(m => ({ ...m, active: new Date(m.starts_at) <= now }));
+}
+
+export async function createMaintenance(supabase, body = {}) {
+  const maintenance = {
+    title: validateText(body.title, 'title'),
+    description: body.description ? String(body.description) : null,
+    services: validateServices(body.services),
+    starts_at: validateDate(body.startsAt, 'startsAt'),
+    ends_at: validateDate(body.endsAt, 'endsAt')
+  };
+  if (maintenance.ends_at <= maintenance.starts_at) throw new ValidationError('endsAt must be after startsAt');
+
+  const { data, error } = await supabase.from('monitoring_maintenance').insert(maintenance).select().single();
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+export async function deleteMaintenance(supabase, id) {
+  const { data, error } = await supabase.from('monitoring_maintenance').delete().eq('id', validateId(id)).select();
+  if (error) throw new Error(error.message);
+  return data.length > 0;
+}
+
+/**
+ * Service ids under an active maintenance window right now.
+ * Used to keep alerting quiet - on failure we'd rather alert than miss an outage.
+ */
+export async function getServicesInMaintenance(supabase, now = new Date()) {
+  try {
+    const windows = await listMaintenance(supabase, { now });
+    return new Set(windows.filter(m => m.active).flatMap(m => m.services));
+  } catch (error) {
+    console.error('Failed to load maintenance windows:', error.message);
+    return new Set();
+  }
+}
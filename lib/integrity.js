@@ -0,0 +1,155 @@
+import { selectAll } from './supabase.js';
+
+// ============================================
+// DATA INTEGRITY
+// Invariants across the EryAI tables. Every check returns how many
+// rows break it and a few sample IDs to start debugging from.
+//
+// Only what the schema doesn't enforce is checked - foreign keys already
+// rule out e.g. a message or an escalation pointing at a missing row.
+// Big tables (chat_messages, chat_sessions) are counted in the database -
+// filters or PostgREST anti-joins (embed!left + is null) - so nothing is
+// paged through; small ones (teams, customers, memberships) are compared in memory.
+// ============================================
+
+export const INTEGRITY_CONFIG = {
+  SAMPLE_SIZE: 5,
+  // The engine writes the notification right after flagging a session -
+  // give in-flight conversations (including our own test runs) time to settle
+  GRACE_MINUTES: 10
+};
+
+const toResult = (rows, count = rows.length) => ({
+  count,
+  sampleIds: rows.slice(0, INTEGRITY_CONFIG.SAMPLE_SIZE).map(r => r.id)
+});
+
+// Rows matching query, e.g. an anti-join: exact count plus a few sample ids
+async function countRows(query) {
+  const { data, count, error } = await query.limit(INTEGRITY_CONFIG.SAMPLE_SIZE);
+  if (error) throw new Error(error.message);
+  return toResult(data, count);
+}
+
+async function idSet(supabase, table, column = 'id') {
+  const rows = await selectAll(() => supabase.from(table).select(column).order(column, { ascending: true }));
+  return new Set(rows.map(r => r[column]));
+}
+
+// { [team id]: customer id }
+async function teamCustomers(supabase) {
+  const teams = await selectAll(() => supabase.from('teams').select('id, customer_id').order('id', { ascending: true }));
+  return new Map(teams.map(t => [t.id, t.customer_id]));
+}
+
+// Auth users live in auth.users, which PostgREST doesn't expose - ask the admin API
+async function authUserIds(supabase) {
+  const ids = new Set();
+  const perPage = 1000;
+  for (let page = 1; ; page++) {
+    const { data, error } = await supabase.auth.admin.listUsers({ page, perPage });
+    if (error) throw new Error(error.message);
+    data.users.forEach(u => ids.add(u.id));
+    if (data.users.length < perPage) return ids;
+  }
+}
+
+/**
+ * name: test name in the report, subject: what `count` counts.
+ * run(supabase) -> { count, sampleIds }
+ */
+export const INTEGRITY_CHECKS = [
+  {
+    // session_id is nullable, so the foreign key lets these through
+    name: 'Messages belong to a session',
+    subject: 'chat_messages without a session_id',
+    run: supabase => countRows(supabase
+      .from('chat_messages')
+      .select('id', { count: 'exact' })
+      .is('session_id', null))
+  },
+  {
+    name: 'Escalated sessions have a notification',
+    subject: 'needs_human sessions without a notifications row',
+    run: supabase => countRows(supabase
+      .from('chat_sessions')
+      .select('id, notifications!left(id)', { count: 'exact' })
+      .eq('needs_human', true)
+      .is('deleted_at', null)
+      .lt('created_at', new Date(Date.now() - INTEGRITY_CONFIG.GRACE_MINUTES * 60 * 1000).toISOString())
+      .is('notifications', null))
+  },
+  {
+    // The team foreign keys only say the team exists, not whose it is
+    name: 'Escalations stay within the customer',
+    subject: "session_escalations from/to another customer's team",
+    run: async supabase => {
+      const [escalations, teams] = await Promise.all([
+        selectAll(() => supabase
+          .from('session_escalations')
+          .select('id, from_team_id, to_team_id, chat_sessions(customer_id)')
+          .order('id', { ascending: true })),
+        teamCustomers(supabase)
+      ]);
+      const foreign = (teamId, customerId) => teamId && teams.get(teamId) !== customerId;
+      return toResult(escalations.filter(e =>
+        foreign(e.from_team_id, e.chat_sessions?.customer_id) || foreign(e.to_team_id, e.chat_sessions?.customer_id)));
+    }
+  },
+  {
+    name: 'Escalations point at existing users',
+    subject: 'session_escalations with a deleted from/to user',
+    run: async supabase => {
+      const [escalations, users] = await Promise.all([
+        selectAll(() => supabase.from('session_escalations').select('id, from_user_id, to_user_id').order('id', { ascending: true })),
+        authUserIds(supabase)
+      ]);
+      return toResult(escalations.filter(e =>
+        (e.from_user_id && !users.has(e.from_user_id)) || (e.to_user_id && !users.has(e.to_user_id))));
+    }
+  },
+  {
+    name: 'Customers have an AI config',
+    subject: 'customers without a customer_ai_config row',
+    run: async supabase => {
+      const [customers, configured] = await Promise.all([
+        selectAll(() => supabase.from('customers').select('id').order('id', { ascending: true })),
+        idSet(supabase, 'customer_ai_config', 'customer_id')
+      ]);
+      return toResult(customers.filter(c => !configured.has(c.id)));
+    }
+  },
+  {
+    name: 'Customers have a default companion',
+    subject: 'customers without a default customer_companions row',
+    run: async supabase => {
+      const [customers, companions] = await Promise.all([
+        selectAll(() => supabase.from('customers').select('id').order('id', { ascending: true })),
+        selectAll(() => supabase.from('customer_companions').select('customer_id').eq('is_default', true).order('customer_id', { ascending: true }))
+      ]);
+      const withDefault = new Set(companions.map(c => c.customer_id));
+      return toResult(customers.filter(c => !withDefault.has(c.id)));
+    }
+  },
+  {
+    name: "Memberships match their team's customer",
+    subject: 'user_memberships whose team belongs to another customer',
+    run: async supabase => {
+      const [memberships, teams] = await Promise.all([
+        selectAll(() => supabase
+          .from('user_memberships')
+          .select('id, customer_id, team_id')
+          .not('team_id', 'is', null)
+          .not('customer_id', 'is', null)
+          .order('id', { ascending: true })),
+        teamCustomers(supabase)
+      ]);
+      return toResult(memberships.filter(m => teams.get(m.team_id) !== m.customer_id));
+    }
+  }
+];
+
+// e.g. "3 chat_messages without a session_id (e.g. 1f0c…, 9a2e…, 77b1…)"
+export function formatViolation(check, { count, sampleIds }) {
+  return `${count} ${check.subject} (e.g. ${sampleIds.join(', ')})`;
+}
@@ -0,0 +1,130 @@
+import { SERVICES } from './services.js';
+import { getLatestChecks } from './checks.js';
+import { getResponseTimeHistograms, UPTIME_CONFIG } from './uptime.js';
+import { percentile } from './stats.js';
+
+// ============================================
+// PROMETHEUS METRICS
+// Text exposition format (version 0.0.4), built from stored data only -
+// a scrape never triggers checks or test runs itself.
+// ============================================
+
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels).filter(([, v]) => v !== undefined && v !== null);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}`;
+}
+
+/**
+ * families: [{ name, help, type, samples: [{ labels, value, suffix? }] }]
+ * suffix is appended to the family name (_bucket, _sum, _count).
+ */
+export function renderMetrics(families) {
+  return families
+    .filter(f => f.samples.length > 0)
+    .map(f => [
+      `# HELP ${f.name} ${f.help}`,
+      `# TYPE ${f.name} ${f.type}`,
+      ...f.samples.map(s => `${f.name}${s.suffix || ''}${formatLabels(s.labels || {})} ${s.value}`)
+    ].join('\n'))
+    .join('\n') + '\n';
+}
+
+const seconds = ms => ms / 1000;
+
+// ==================== SERVICES (/api/health) ====================
+async function serviceFamilies(supabase) {
+  const ids = SERVICES.map(s => s.id);
+  const [latest, histograms] = await Promise.all([
+    getLatestChecks(supabase, SERVICES),
+    getResponseTimeHistograms(supabase, ids)
+  ]);
+
+  const up = [];
+  const lastCheck = [];
+  const histogram = [];
+
+  SERVICES.forEach(service => {
+    const labels = { service: service.id, group: service.group, critical: String(service.critical) };
+    const check = latest[service.id];
+    if (check) {
+      up.push({ labels, value: check.status === 'ok' ? 1 : 0 });
+      lastCheck.push({ labels: { service: service.id }, value: Math.floor(new Date(check.checked_at).getTime() / 1000) });
+    }
+
+    const h = histograms[service.id];
+    if (h.count > 0) {
+      UPTIME_CONFIG.BUCKETS_MS.forEach(le => {
+        histogram.push({ suffix: '_bucket', labels: { service: service.id, le: String(seconds(le)) }, value: h.buckets[le] });
+      });
+      histogram.push({ suffix: '_bucket', labels: { service: service.id, le: '+Inf' }, value: h.count });
+      histogram.push({ suffix: '_sum', labels: { service: service.id }, value: seconds(h.sumMs) });
+      histogram.push({ suffix: '_count', labels: { service: service.id }, value: h.count });
+    }
+  });
+
+  return [
+    { name: 'eryai_service_up', help: 'Whether the latest health check of the service succeeded (1) or failed (0).', type: 'gauge', samples: up },
+    { name: 'eryai_service_last_check_timestamp_seconds', help: 'Unix time of the latest stored health check.', type: 'gauge', samples: lastCheck },
+    { name: 'eryai_service_response_time_seconds', help: 'Response time of health checks.', type: 'histogram', samples: histogram }
+  ];
+}
+
+// ==================== TEST SUITE (/api/test) ====================
+async function suiteFamilies(supabase) {
+  const { data: run, error } = await supabase
+    .from('monitoring_runs')
+    .select('id, started_at, duration_ms, total')
+    .eq('is_full', true)
+    .order('started_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  if (!run) return [];
+
+  const [{ data: results, error: resultsError }, { data: samples, error: samplesError }] = await Promise.all([
+    supabase.from('monitoring_test_results').select('category, name, status').eq('run_id', run.id),
+    supabase.from('monitoring_latency_samples').select('category, name, duration_ms').eq('run_id', run.id)
+  ]);
+  if (resultsError) throw new Error(resultsError.message);
+  if (samplesError) throw new Error(samplesError.message);
+
+  const counts = {};
+  results.forEach(r => {
+    const key = `${r.category}/${r.status}`;
+    counts[key] = counts[key] || { labels: { category: r.category, status: r.status }, value: 0 };
+    counts[key].value++;
+  });
+
+  // Latency samples as a summary per test name - sampled calls share a name
+  const byName = {};
+  samples.forEach(s => {
+    const key = `${s.category}/${s.name}`;
+    byName[key] = byName[key] || { category: s.category, test: s.name, values: [] };
+    byName[key].values.push(s.duration_ms);
+  });
+  const latency = Object.values(byName).flatMap(({ category, test, values }) => [
+    ...[50, 95, 99].map(p => ({ labels: { category, test, quantile: String(p / 100) }, value: seconds(percentile(values, p)) })),
+    { suffix: '_sum', labels: { category, test }, value: seconds(values.reduce((a, b) => a + b, 0)) },
+    { suffix: '_count', labels: { category, test }, value: values.length }
+  ]);
+
+  return [
+    { name: 'eryai_test_last_run_timestamp_seconds', help: 'Unix time the latest test suite run started.', type: 'gauge', samples: [{ value: Math.floor(new Date(run.started_at).getTime() / 1000) }] },
+    { name: 'eryai_test_last_run_duration_seconds', help: 'Duration of the latest test suite run.', type: 'gauge', samples: [{ value: seconds(run.duration_ms || 0) }] },
+    { name: 'eryai_test_results', help: 'Tests per category and status in the latest run.', type: 'gauge', samples: Object.values(counts) },
+    { name: 'eryai_test_status', help: 'Whether each test passed (1) in the latest run; flaky counts as passed.', type: 'gauge', samples: results.map(r => ({ labels: { category: r.category, test: r.name }, value: r.status === 'passed' || r.status === 'flaky' ? 1 : 0 })) },
+    { name: 'eryai_test_latency_seconds', help: 'Latency samples (latencyMetrics) of the latest run.', type: 'summary', samples: latency }
+  ];
+}
+
+export async function collectMetrics(supabase) {
+  const [services, suite] = await Promise.all([serviceFamilies(supabase), suiteFamilies(supabase)]);
+  return renderMetrics([...services, ...suite]);
+}
@@ -0,0 +1,25 @@
+import { formatText } from './format.js';
+import { postJson } from './webhook.js';
+
+// ============================================
+// DISCORD INCOMING-WEBHOOK CHANNEL
+// ============================================
+
+// Discord rejects message content longer than 2000 characters
+const MAX_CONTENT = 2000;
+
+export default {
+  name: 'discord',
+
+  isConfigured() {
+    return Boolean(process.env.DISCORD_WEBHOOK_URL);
+  },
+
+  async send(event) {
+    const content = formatText(event, { bold: text => `**${text}**` });
+    await postJson(process.env.DISCORD_WEBHOOK_URL, {
+      username: 'EryAI Monitoring',
+      content: content.length > MAX_CONTENT ? `${content.slice(0, MAX_CONTENT - 1)}…` : content
+    });
+  }
+};
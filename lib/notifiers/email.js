@@ -0,0 +1,98 @@
+import { Resend } from 'resend';
+import { formatTime, formatSince, escapeHtml } from './format.js';
+
+// ============================================
+// EMAIL CHANNEL (Resend)
+// ============================================
+
+const SUPERADMIN_EMAIL = process.env.ALERT_EMAIL || 'eric@eryai.tech';
+const FROM = 'EryAI Monitoring <sofia@eryai.tech>';
+
+const SOURCE_TAGS = { test: 'TEST', health: 'HEALTH', sla: 'SLA' };
+const BUTTON_LABELS = { test: 'Run Tests Again', health: 'Check Health Again', sla: 'Check SLAs' };
+
+let resend = null;
+
+function detailRows(details = []) {
+  return details.map(([label, value]) => `<p><strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}</p>`).join('\n          ');
+}
+
+// items are plain text - escaped here, once
+function listSection(title, items, colors) {
+  if (items.length === 0) return '';
+  return `
+          <div style="background: ${colors.bg}; padding: 15px; border-radius: 8px; margin: 20px 0;">
+            <h3 style="color: ${colors.text}; margin-top: 0;">${title}</h3>
+            <pre style="white-space: pre-wrap; font-size: 14px;">${items.map(escapeHtml).join('\n\n')}</pre>
+          </div>`;
+}
+
+function renderAlert(event) {
+  const tag = SOURCE_TAGS[event.source];
+  const opened = event.opened || [];
+  const reminders = event.reminders || [];
+  const warnings = event.warnings || [];
+  const failing = opened.length + reminders.length;
+  return `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: #fee2e2; border: 2px solid #dc2626; padding: 15px; border-radius: 8px; margin-bottom: 20px;">
+            <h2 style="color: #dc2626; margin: 0;">⚠️ ${tag} EMAIL - MONITORING SYSTEM</h2>
+            <p style="color: #7f1d1d; margin: 5px 0 0 0;">This is an automated email from eryai-monitoring</p>
+          </div>
+
+          <h2 style="color: #dc2626;">${event.emoji} ${escapeHtml(event.title)}</h2>
+
+          <p><strong>Time:</strong> ${formatTime(Date.now())}</p>
+          ${failing > 0 ? `<p><strong>Failing:</strong> ${failing}${event.total ? ` of ${event.total}` : ''}</p>` : ''}
+          ${detailRows(event.details)}
+          ${listSection('New Failures:', opened.map(f => `❌ ${f.name}\n   Error: ${f.error}`), { bg: '#fef2f2', text: '#dc2626' })}
+          ${listSection('Still Failing:', reminders.map(f => `❌ ${f.name}\n   Error: ${f.error}\n   ${formatSince(f.failingSince)}`), { bg: '#fef2f2', text: '#991b1b' })}
+          ${listSection('Warnings:', warnings.map(w => `⚠️ ${w.name}\n   ${w.error}`), { bg: '#fffbeb', text: '#b45309' })}
+
+          ${event.url ? `
+          <p>
+            <a href="${event.url}"
+               style="background: #3b82f6; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; display: inline-block;">
+              ${BUTTON_LABELS[event.source]}
+            </a>
+          </p>` : ''}
+
+          <hr style="margin: 30px 0; border: none; border-top: 1px solid #e5e7eb;">
+          <p style="color: #6b7280; font-size: 12px;">EryAI Monitoring System</p>
+        </div>
+      `;
+}
+
+function renderRecovery(event) {
+  return `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #059669;">${event.emoji} ${escapeHtml(event.title)}</h2>
+
+          <p><strong>Time:</strong> ${formatTime(Date.now())}</p>
+          ${detailRows(event.details)}
+          ${listSection('Back to normal:', (event.recovered || []).map(r => `✅ ${r.name}\n   Was ${formatSince(r.failingSince)}`), { bg: '#ecfdf5', text: '#059669' })}
+
+          <hr style="margin: 30px 0; border: none; border-top: 1px solid #e5e7eb;">
+          <p style="color: #6b7280; font-size: 12px;">EryAI Monitoring System</p>
+        </div>
+      `;
+}
+
+export default {
+  name: 'email',
+
+  isConfigured() {
+    return Boolean(process.env.RESEND_API_KEY);
+  },
+
+  async send(event) {
+    resend = resend || new Resend(process.env.RESEND_API_KEY);
+    const { error } = await resend.emails.send({
+      from: FROM,
+      to: SUPERADMIN_EMAIL,
+      subject: `${event.emoji} [${SOURCE_TAGS[event.source]}] ${event.title}`,
+      html: event.kind === 'recovery' ? renderRecovery(event) : renderAlert(event)
+    });
+    if (error) throw new Error(error.message);
+  }
+};
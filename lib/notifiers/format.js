@@ -0,0 +1,57 @@
+// ============================================
+// SHARED FORMATTING FOR ALERT EVENTS
+// An event is what lib/alerts.js hands to the notifiers:
+// {
+//   kind: 'alert' | 'recovery' | 'warning',
+//   severity: 'critical' | 'error' | 'warning' | 'info',
+//   source: 'test' | 'health' | 'sla',
+//   title, emoji, url, total,
+//   details: [[label, value]],
+//   opened, reminders, recovered, warnings: [{ name, error, failingSince? }]
+// }
+// ============================================
+
+// Helper: Errors can echo response bodies and user input - never trust them in HTML
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+export const formatTime = value => new Date(value).toLocaleString('sv-SE', { timeZone: 'Europe/Stockholm' });
+
+export function formatSince(failingSince, now = Date.now()) {
+  if (!failingSince) return '';
+  const hours = Math.round((now - new Date(failingSince).getTime()) / (60 * 60 * 1000));
+  return `failing since ${formatTime(failingSince)} (${hours}h)`;
+}
+
+// Sections in display order, shared by every text-based channel
+export function eventSections(event) {
+  return [
+    { title: 'New failures', icon: '❌', items: event.opened || [] },
+    { title: 'Still failing', icon: '❌', items: event.reminders || [] },
+    { title: 'Back to normal', icon: '✅', items: event.recovered || [] },
+    { title: 'Warnings', icon: '⚠️', items: event.warnings || [] }
+  ].filter(section => section.items.length > 0);
+}
+
+function itemLine(icon, item) {
+  const extra = item.failingSince ? ` (${formatSince(item.failingSince)})` : '';
+  return `${icon} ${item.name}${item.error ? ` - ${item.error}` : ''}${extra}`;
+}
+
+// Plain-text / markdown body used by Slack, Discord and push
+export function formatText(event, { bold = text => text, maxItems = 20 } = {}) {
+  const lines = [`${event.emoji} ${bold(event.title)}`];
+  event.details?.forEach(([label, value]) => lines.push(`${label}: ${value}`));
+  eventSections(event).forEach(section => {
+    lines.push('', bold(`${section.title}:`));
+    section.items.slice(0, maxItems).forEach(item => lines.push(itemLine(section.icon, item)));
+    if (section.items.length > maxItems) lines.push(`… and ${section.items.length - maxItems} more`);
+  });
+  if (event.url) lines.push('', event.url);
+  return lines.join('\n');
+}
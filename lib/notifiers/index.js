@@ -0,0 +1,50 @@
+import email from './email.js';
+import webhook from './webhook.js';
+import slack from './slack.js';
+import discord from './discord.js';
+import push from './push.js';
+
+// ============================================
+// NOTIFIERS
+// Routes alert events to channels by severity.
+// Override a route with ALERT_CHANNELS_<SEVERITY>, e.g.
+//   ALERT_CHANNELS_CRITICAL=push,email
+//   ALERT_CHANNELS_WARNING=webhook
+// New channels only need an entry in CHANNELS.
+// ============================================
+
+const CHANNELS = { email, webhook, slack, discord, push };
+
+export const SEVERITIES = ['critical', 'error', 'warning', 'info'];
+
+const DEFAULT_ROUTES = {
+  critical: ['email', 'push'],
+  error: ['email'],
+  warning: [],
+  info: ['email']
+};
+
+export function getRoute(severity) {
+  const override = process.env[`ALERT_CHANNELS_${severity.toUpperCase()}`];
+  if (override === undefined) return DEFAULT_ROUTES[severity] || [];
+  return override.split(',').map(c => c.trim().toLowerCase()).filter(Boolean);
+}
+
+export async function notify(event) {
+  const channels = getRoute(event.severity)
+    .map(name => {
+      const channel = CHANNELS[name];
+      if (!channel) console.error(`Unknown alert channel: ${name}`);
+      return channel;
+    })
+    .filter(channel => channel && channel.isConfigured());
+
+  await Promise.all(channels.map(async channel => {
+    try {
+      await channel.send(event);
+      console.log(`Alert sent via ${channel.name}: ${event.title}`);
+    } catch (error) {
+      console.error(`Failed to send alert via ${channel.name}:`, error);
+    }
+  }));
+}
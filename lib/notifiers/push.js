@@ -0,0 +1,80 @@
+import { getSupabase } from '../supabase.js';
+import { HOSTS } from '../services.js';
+import { eventSections } from './format.js';
+import { tracedFetch } from '../tracing.js';
+
+// ============================================
+// WEB PUSH CHANNEL
+// Sends to every superadmin device in push_subscriptions
+// through the dashboard's zero-trust /api/push/send route
+// ============================================
+
+// Push bodies are shown in a notification bubble - keep them short
+function pushBody(event) {
+  const names = eventSections(event).flatMap(section => section.items.map(item => item.name));
+  const shown = names.slice(0, 3).join(', ');
+  return names.length > 3 ? `${shown} +${names.length - 3} more` : shown;
+}
+
+async function getSuperadminTargets() {
+  const supabase = getSupabase();
+  const { data: admins, error } = await supabase
+    .from('superadmins')
+    .select('user_id')
+    .not('user_id', 'is', null);
+  if (error) throw new Error(`superadmins: ${error.message}`);
+
+  const userIds = admins.map(a => a.user_id);
+  if (userIds.length === 0) return [];
+
+  const { data: subscriptions, error: subError } = await supabase
+    .from('push_subscriptions')
+    .select('user_id, customer_id')
+    .in('user_id', userIds);
+  if (subError) throw new Error(`push_subscriptions: ${subError.message}`);
+
+  // One send per user/customer pair - the route fans out to all of that user's devices
+  const targets = new Map();
+  subscriptions.forEach(s => targets.set(`${s.user_id}:${s.customer_id}`, { userId: s.user_id, customerId: s.customer_id }));
+  return [...targets.values()];
+}
+
+export default {
+  name: 'push',
+
+  isConfigured() {
+    return Boolean(process.env.INTERNAL_API_KEY);
+  },
+
+  async send(event) {
+    const targets = await getSuperadminTargets();
+    if (targets.length === 0) {
+      console.log('Push channel: no superadmin subscriptions');
+      return;
+    }
+
+    const results = await Promise.allSettled(targets.map(async target => {
+      const response = await tracedFetch(`${HOSTS.dashboard}/api/push/send`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Internal-API-Key': process.env.INTERNAL_API_KEY
+        },
+        body: JSON.stringify({
+          customerId: target.customerId,
+          userId: target.userId,
+          title: `${event.emoji} ${event.title}`,
+          body: pushBody(event),
+          url: event.url
+        }),
+        signal: AbortSignal.timeout(10000)
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    }));
+
+    const failed = results.filter(r => r.status === 'rejected');
+    if (failed.length === results.length) {
+      throw new Error(`All push sends failed: ${/** @type {PromiseRejectedResult} */ (failed[0]).reason.message}`);
+    }
+  }
+};
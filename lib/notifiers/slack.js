@@ -0,0 +1,21 @@
+import { formatText } from './format.js';
+import { postJson } from './webhook.js';
+
+// ============================================
+// SLACK INCOMING-WEBHOOK CHANNEL
+// ============================================
+
+export default {
+  name: 'slack',
+
+  isConfigured() {
+    return Boolean(process.env.SLACK_WEBHOOK_URL);
+  },
+
+  async send(event) {
+    // Slack mrkdwn uses single asterisks for bold
+    await postJson(process.env.SLACK_WEBHOOK_URL, {
+      text: formatText(event, { bold: text => `*${text}*` })
+    });
+  }
+};
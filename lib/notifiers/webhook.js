@@ -0,0 +1,31 @@
+import { tracedFetch } from '../tracing.js';
+
+// ============================================
+// GENERIC JSON WEBHOOK CHANNEL
+// Posts the full alert event as JSON to ALERT_WEBHOOK_URL
+// ============================================
+
+export async function postJson(url, payload) {
+  const response = await tracedFetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+    signal: AbortSignal.timeout(10000)
+  });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+}
+
+export default {
+  name: 'webhook',
+
+  isConfigured() {
+    return Boolean(process.env.ALERT_WEBHOOK_URL);
+  },
+
+  async send(event) {
+    await postJson(process.env.ALERT_WEBHOOK_URL, {
+      ...event,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
@@ -0,0 +1,166 @@
+import { selectAll } from './supabase.js';
+
+// ============================================
+// OUTREACH DELIVERABILITY
+// Health of the sales outreach pipeline, from outreach_messages,
+// outreach_campaigns and the campaign_performance view.
+//
+// campaign_performance only has all-time totals, so every run stores
+// today's totals in monitoring_campaign_snapshots. The difference between
+// two days' snapshots is that day's open/reply rate, which is compared
+// with the campaign's own trailing average.
+// ============================================
+
+export const OUTREACH_CONFIG = {
+  WINDOW_HOURS: 24,
+  // Share of sent messages that bounced
+  BOUNCE_RATE: { warn: 0.02, fail: 0.05 },
+  // Share of attempted messages with an error
+  ERROR_RATE: { warn: 0.05, fail: 0.2 },
+  // Below this many messages in the window a rate says nothing
+  MIN_MESSAGES: 20,
+  // Daily rates: latest day vs the average of up to TRAILING_DAYS days before it
+  TRAILING_DAYS: 7,
+  MIN_TRAILING_DAYS: 3,
+  // Fail when the latest rate is below this share of the trailing average
+  DROP_RATIO: 0.5,
+  SAMPLE_SIZE: 5
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const toDay = time => new Date(time).toISOString().slice(0, 10);
+const isError = m => Boolean(m.error_message) || ['failed', 'error'].includes(m.status);
+
+/**
+ * Messages created or sent in the window, plus campaigns and their all-time performance.
+ * Returns { since, messages, campaigns, performance }
+ */
+export async function loadOutreachData(supabase, now = Date.now()) {
+  const since = new Date(now - OUTREACH_CONFIG.WINDOW_HOURS * HOUR_MS).toISOString();
+  const [messages, campaigns, performance] = await Promise.all([
+    selectAll(() => supabase
+      .from('outreach_messages')
+      .select('id, campaign_id, status, sent_at, bounced_at, error_message')
+      .or(`created_at.gte.${since},sent_at.gte.${since}`)
+      .order('id', { ascending: true })),
+    selectAll(() => supabase
+      .from('outreach_campaigns')
+      .select('id, name, enabled, daily_send_limit')
+      .order('id', { ascending: true })),
+    selectAll(() => supabase
+      .from('campaign_performance')
+      .select('id, name, total_sent, total_opened, total_replied')
+      .order('id', { ascending: true }))
+  ]);
+  return { since, messages, campaigns, performance };
+}
+
+// Bounced share of the messages sent in the window
+export function bounceRate({ messages, since }) {
+  const sent = messages.filter(m => m.sent_at && m.sent_at >= since);
+  const bounced = sent.filter(m => m.bounced_at);
+  return {
+    total: sent.length,
+    count: bounced.length,
+    rate: sent.length > 0 ? bounced.length / sent.length : null,
+    sampleIds: bounced.slice(0, OUTREACH_CONFIG.SAMPLE_SIZE).map(m => m.id)
+  };
+}
+
+// Errored share of every message attempted in the window, with the most common errors
+export function errorRate({ messages }) {
+  const errored = messages.filter(isError);
+  const reasons = {};
+  errored.forEach(m => {
+    const reason = m.error_message || m.status;
+    reasons[reason] = (reasons[reason] || 0) + 1;
+  });
+  return {
+    total: messages.length,
+    count: errored.length,
+    rate: messages.length > 0 ? errored.length / messages.length : null,
+    topErrors: Object.entries(reasons).sort((a, b) => b[1] - a[1]).slice(0, 3).map(([reason, count]) => `${reason} (${count})`),
+    sampleIds: errored.slice(0, OUTREACH_CONFIG.SAMPLE_SIZE).map(m => m.id)
+  };
+}
+
+/**
+ * Campaigns that sent more than daily_send_limit today (UTC day, like the sender).
+ * Returns [{ id, name, sent, limit }]
+ */
+export function overSendLimit({ messages, campaigns }, now = Date.now()) {
+  const today = toDay(now);
+  const sentToday = {};
+  messages
+    .filter(m => m.campaign_id && m.sent_at && toDay(m.sent_at) === today)
+    .forEach(m => { sentToday[m.campaign_id] = (sentToday[m.campaign_id] || 0) + 1; });
+
+  return campaigns
+    .filter(c => c.daily_send_limit !== null && (sentToday[c.id] || 0) > c.daily_send_limit)
+    .map(c => ({ id: c.id, name: c.name, sent: sentToday[c.id], limit: c.daily_send_limit }));
+}
+
+// Upsert today's totals per campaign; the last run of the day wins
+export async function recordCampaignSnapshots(supabase, performance, now = new Date()) {
+  const day = toDay(now);
+  const rows = performance.filter(p => p.id).map(p => ({
+    campaign_id: p.id,
+    day,
+    total_sent: p.total_sent || 0,
+    total_opened: p.total_opened || 0,
+    total_replied: p.total_replied || 0,
+    updated_at: now.toISOString()
+  }));
+  if (rows.length === 0) return;
+
+  const { error } = await supabase
+    .from('monitoring_campaign_snapshots')
+    .upsert(rows, { onConflict: 'campaign_id,day' });
+  if (error) console.error('Failed to store campaign snapshots:', error.message);
+}
+
+// Yesterday back to TRAILING_DAYS + 1 days before it, plus today's snapshot
+export async function getCampaignSnapshots(supabase, now = Date.now()) {
+  const firstDay = toDay(now - (OUTREACH_CONFIG.TRAILING_DAYS + 2) * 24 * HOUR_MS);
+  return selectAll(() => supabase
+    .from('monitoring_campaign_snapshots')
+    .select('campaign_id, day, total_sent, total_opened, total_replied')
+    .gte('day', firstDay)
+    .order('day', { ascending: true }));
+}
+
+/**
+ * Campaigns whose latest completed day's open or reply rate dropped below
+ * DROP_RATIO of their trailing average. metric: 'opened' | 'replied'
+ * Today's snapshot is left out - a day that is still running has had
+ * fewer hours for opens and replies to come in than the days it's compared with.
+ * Returns [{ id, name, day, latest, average, sent }]
+ */
+export function rateDrops(snapshots, performance, metric, now = Date.now()) {
+  const names = Object.fromEntries(performance.map(p => [p.id, p.name]));
+  const today = toDay(now);
+  const byCampaign = {};
+  snapshots.filter(s => s.day < today).forEach(s => {
+    byCampaign[s.campaign_id] = byCampaign[s.campaign_id] || [];
+    byCampaign[s.campaign_id].push(s);
+  });
+
+  const drops = [];
+  Object.entries(byCampaign).forEach(([id, days]) => {
+    // Daily rate = growth in opened/replied over growth in sent between consecutive snapshots
+    const periods = days.slice(1).map((s, i) => {
+      const sent = s.total_sent - days[i].total_sent;
+      const hits = s[`total_${metric}`] - days[i][`total_${metric}`];
+      return { day: s.day, sent, rate: sent >= OUTREACH_CONFIG.MIN_MESSAGES ? hits / sent : null };
+    });
+    const latest = periods[periods.length - 1];
+    const trailing = periods.slice(0, -1).slice(-OUTREACH_CONFIG.TRAILING_DAYS).filter(p => p.rate !== null);
+    if (!latest || latest.rate === null || trailing.length < OUTREACH_CONFIG.MIN_TRAILING_DAYS) return;
+
+    const average = trailing.reduce((a, p) => a + p.rate, 0) / trailing.length;
+    if (average > 0 && latest.rate < average * OUTREACH_CONFIG.DROP_RATIO) {
+      drops.push({ id, name: names[id] || id, day: latest.day, latest: latest.rate, average, sent: latest.sent });
+    }
+  });
+  return drops;
+}
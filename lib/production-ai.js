@@ -0,0 +1,106 @@
+import { selectAll } from './supabase.js';
+import { percentiles } from './stats.js';
+
+// ============================================
+// PRODUCTION AI
+// Latency and token usage of real assistant replies, from the
+// response_time_ms and tokens_used columns the engine writes to
+// chat_messages - the synthetic Engine tests only see a few prompts a day.
+// Aggregated per customer and per hour; cost is an estimate from a
+// blended price per token.
+// ============================================
+
+// "*=10000,bella-italia=6000" -> { '*': 10000, 'bella-italia': 6000 }
+function parseThresholds(value = '') {
+  return Object.fromEntries(value.split(',')
+    .map(pair => pair.split('=').map(s => s.trim()))
+    .filter(([slug, limit]) => slug && parseFloat(limit) > 0)
+    .map(([slug, limit]) => [slug, parseFloat(limit)]));
+}
+
+export const PRODUCTION_AI_CONFIG = {
+  WINDOW_HOURS: parseInt(process.env.PRODUCTION_AI_WINDOW_HOURS, 10) || 24,
+  // Per customer slug, '*' for everyone else
+  P95_MS: { '*': 10000, ...parseThresholds(process.env.PRODUCTION_AI_P95_MS) },
+  TOKENS_PER_MESSAGE: { '*': 2000, ...parseThresholds(process.env.PRODUCTION_AI_TOKENS_PER_MESSAGE) },
+  // Fewer replies than this in the window say nothing about a tenant
+  MIN_MESSAGES: 10,
+  // Blended input/output price of the engine's model
+  USD_PER_MILLION_TOKENS: parseFloat(process.env.PRODUCTION_AI_USD_PER_MILLION_TOKENS) || 0.25
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export function thresholdsFor(slug) {
+  const { P95_MS, TOKENS_PER_MESSAGE } = PRODUCTION_AI_CONFIG;
+  return {
+    p95Ms: P95_MS[slug] ?? P95_MS['*'],
+    tokensPerMessage: TOKENS_PER_MESSAGE[slug] ?? TOKENS_PER_MESSAGE['*']
+  };
+}
+
+// Latency percentiles, tokens and cost for a set of replies
+function aggregate(messages) {
+  const tokens = messages.filter(m => m.tokens_used !== null).map(m => m.tokens_used);
+  const totalTokens = tokens.reduce((a, b) => a + b, 0);
+  return {
+    messages: messages.length,
+    latency: percentiles(messages.filter(m => m.response_time_ms !== null).map(m => m.response_time_ms)),
+    totalTokens,
+    tokensPerMessage: tokens.length > 0 ? Math.round(totalTokens / tokens.length) : null,
+    estimatedCostUsd: Number((totalTokens / 1e6 * PRODUCTION_AI_CONFIG.USD_PER_MILLION_TOKENS).toFixed(4))
+  };
+}
+
+function groupBy(items, keyFn) {
+  const groups = {};
+  items.forEach(item => {
+    const key = keyFn(item);
+    groups[key] = groups[key] || [];
+    groups[key].push(item);
+  });
+  return groups;
+}
+
+/**
+ * Assistant replies in the window, per customer (busiest first) and per hour.
+ * Returns { since, windowHours, total, customers: [{ customerId, customerName, slug, thresholds, ...aggregate, hours: [{ hour, ...aggregate }] }] }
+ */
+export async function computeProductionAi(supabase, now = Date.now()) {
+  const since = new Date(now - PRODUCTION_AI_CONFIG.WINDOW_HOURS * HOUR_MS).toISOString();
+
+  const [customers, messages] = await Promise.all([
+    selectAll(() => supabase.from('customers').select('id, name, slug').order('id', { ascending: true })),
+    selectAll(() => supabase
+      .from('chat_messages')
+      .select('id, timestamp, response_time_ms, tokens_used, chat_sessions!inner(customer_id)')
+      .eq('role', 'assistant')
+      .gte('timestamp', since)
+      .or('response_time_ms.not.is.null,tokens_used.not.is.null')
+      .order('id', { ascending: true }))
+  ]);
+
+  const byId = Object.fromEntries(customers.map(c => [c.id, c]));
+  const byCustomer = groupBy(messages, m => m.chat_sessions?.customer_id || 'unknown');
+
+  return {
+    since,
+    windowHours: PRODUCTION_AI_CONFIG.WINDOW_HOURS,
+    total: aggregate(messages),
+    customers: Object.entries(byCustomer)
+      .map(([customerId, replies]) => {
+        const customer = byId[customerId];
+        const slug = customer?.slug || customerId;
+        const hours = groupBy(replies, m => `${m.timestamp.slice(0, 13)}:00:00Z`);
+        return {
+          customerId,
+          customerName: customer?.name || 'Unknown customer',
+          slug,
+          thresholds: thresholdsFor(slug),
+          ...aggregate(replies),
+          hours: Object.keys(hours).sort().map(hour => ({ hour, ...aggregate(hours[hour]) }))
+        };
+      })
+      .sort((a, b) => b.messages - a.messages)
+  };
+}
@@ -0,0 +1,33 @@
+// ============================================
+// RATE LIMITING
+// Fixed windows counted in monitoring_rate_limits, one row per key and
+// window - serverless instances share no memory, so the count lives in Supabase.
+// ============================================
+
+export const RATE_LIMIT_CONFIG = {
+  LIMIT: parseInt(process.env.TEST_RATE_LIMIT, 10) || 10,
+  WINDOW_MS: 60 * 60 * 1000
+};
+
+/**
+ * Count one request for key and report whether it is within the limit.
+ * Returns { allowed, limit, remaining, resetAt, unavailable }.
+ * The count is one atomic upsert (monitoring_rate_limit_hit). If it fails
+ * the request is refused unless failOpen - unavailable is then true.
+ */
+export async function consumeRateLimit(supabase, key, { limit = RATE_LIMIT_CONFIG.LIMIT, windowMs = RATE_LIMIT_CONFIG.WINDOW_MS, failOpen = false, now = Date.now() } = {}) {
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+  const resetAt = new Date(windowStart + windowMs).toISOString();
+
+  const { data: count, error } = await supabase.rpc('monitoring_rate_limit_hit', {
+    p_key: key,
+    p_window_start: new Date(windowStart).toISOString()
+  });
+
+  if (error) {
+    console.error('Failed to count rate limit:', error.message);
+    return { allowed: failOpen, limit, remaining: failOpen ? limit : 0, resetAt, unavailable: true };
+  }
+
+  return { allowed: count <= limit, limit, remaining: Math.max(0, limit - count), resetAt, unavailable: false };
+}
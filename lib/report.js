@@ -0,0 +1,171 @@
+import { percentiles } from './stats.js';
+
+// ============================================
+// TEST REPORT FORMATS
+// One structured report built from a run's results, rendered as
+// JSON, JUnit XML or TAP for CI and other tooling.
+// ============================================
+
+export const FORMATS = {
+  html: 'text/html',
+  json: 'application/json',
+  junit: 'application/xml',
+  tap: 'text/plain'
+};
+
+// ?format= wins over the Accept header; HTML is the default
+export function negotiateFormat(req) {
+  const requested = String(req.query?.format || '').toLowerCase();
+  if (requested === 'xml') return 'junit';
+  if (FORMATS[requested]) return requested;
+
+  const accept = req.headers?.accept || '';
+  if (accept.includes('application/json')) return 'json';
+  if (accept.includes('application/xml') || accept.includes('text/xml')) return 'junit';
+  if (accept.includes('text/x-tap')) return 'tap';
+  return 'html';
+}
+
+function average(samples) {
+  return samples.length > 0
+    ? Math.round(samples.reduce((a, b) => a + b.duration, 0) / samples.length)
+    : 0;
+}
+
+export function summarizeLatency(latencyMetrics) {
+  return {
+    aiAvg: average(latencyMetrics.engine),
+    aiMax: latencyMetrics.engine.length > 0 ? Math.max(...latencyMetrics.engine.map(l => l.duration)) : 0,
+    apiAvg: average(latencyMetrics.api),
+    ai: percentiles(latencyMetrics.engine.map(l => l.duration)),
+    api: percentiles(latencyMetrics.api.map(l => l.duration))
+  };
+}
+
+// slo: result of computeSlos() (lib/slo.js), flakes: result of getFlakeRates() (lib/flakes.js),
+// either null when it couldn't be loaded; productionAi: computeProductionAi() (lib/production-ai.js),
+// null when the Production AI category didn't run
+export function buildReport({ runId, traceId = null, results, latencyMetrics, productionAi = null, startedAt, duration, slo = null, flakes = null }) {
+  const count = status => results.filter(t => t.status === status).length;
+
+  const categories = {};
+  results.forEach(t => {
+    if (!categories[t.category]) {
+      categories[t.category] = { passed: 0, failed: 0, warning: 0, flaky: 0, skipped: 0 };
+    }
+    categories[t.category][t.status]++;
+  });
+
+  const failed = count('failed');
+  const warnings = count('warning');
+
+  return {
+    runId,
+    traceId,
+    status: failed > 0 ? 'failed' : warnings > 0 ? 'warning' : 'passed',
+    timestamp: new Date(startedAt).toISOString(),
+    duration,
+    summary: {
+      total: results.length,
+      passed: count('passed'),
+      failed,
+      warnings,
+      flaky: count('flaky'),
+      skipped: count('skipped')
+    },
+    categories,
+    tests: results.map(t => ({
+      category: t.category,
+      name: t.name,
+      status: t.status,
+      duration: t.duration,
+      attempts: t.attempts || 1,
+      ...(t.error && { error: t.error }),
+      ...(t.assertions && { assertions: t.assertions })
+    })),
+    latency: {
+      ...latencyMetrics,
+      summary: summarizeLatency(latencyMetrics)
+    },
+    productionAi,
+    slo,
+    flakes
+  };
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+const seconds = ms => (ms / 1000).toFixed(3);
+
+export function renderJUnit(report) {
+  const suites = Object.entries(report.categories).map(([category, stats]) => {
+    const tests = report.tests.filter(t => t.category === category);
+    const time = tests.reduce((sum, t) => sum + t.duration, 0);
+    const cases = tests.map(t => {
+      const attrs = `classname="${escapeXml(category)}" name="${escapeXml(t.name)}" time="${seconds(t.duration)}"`;
+      if (t.status === 'failed') {
+        return `    <testcase ${attrs}>\n      <failure message="${escapeXml(t.error || 'Failed')}"/>\n    </testcase>`;
+      }
+      if (t.status === 'warning') {
+        return `    <testcase ${attrs}>\n      <system-out>WARNING: ${escapeXml(t.error)}</system-out>\n    </testcase>`;
+      }
+      if (t.status === 'flaky') {
+        return `    <testcase ${attrs}>\n      <system-out>FLAKY: ${escapeXml(t.error)}</system-out>\n    </testcase>`;
+      }
+      if (t.status === 'skipped') {
+        return `    <testcase ${attrs}>\n      <skipped${t.error ? ` message="${escapeXml(t.error)}"` : ''}/>\n    </testcase>`;
+      }
+      return `    <testcase ${attrs}/>`;
+    }).join('\n');
+
+    return `  <testsuite name="${escapeXml(category)}" tests="${tests.length}" failures="${stats.failed}" skipped="${stats.skipped}" time="${seconds(time)}">\n${cases}\n  </testsuite>`;
+  }).join('\n');
+
+  const { summary } = report;
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="EryAI Test Suite" id="${report.runId}" tests="${summary.total}" failures="${summary.failed}" skipped="${summary.skipped}" time="${seconds(report.duration)}" timestamp="${report.timestamp}">
+${suites}
+</testsuites>
+`;
+}
+
+export function renderTap(report) {
+  const lines = ['TAP version 13', `1..${report.tests.length}`, `# run ${report.runId}`];
+  report.tests.forEach((t, i) => {
+    const description = `[${t.category}] ${t.name}`;
+    if (t.status === 'skipped') {
+      lines.push(`ok ${i + 1} - ${description} # SKIP${t.error ? ` ${t.error}` : ''}`);
+    } else if (t.status === 'warning') {
+      lines.push(`ok ${i + 1} - ${description}`);
+      lines.push('  ---');
+      lines.push('  severity: warning');
+      lines.push(`  message: ${JSON.stringify(t.error)}`);
+      lines.push('  ...');
+    } else if (t.status === 'flaky') {
+      lines.push(`ok ${i + 1} - ${description}`);
+      lines.push('  ---');
+      lines.push('  severity: flaky');
+      lines.push(`  attempts: ${t.attempts}`);
+      lines.push(`  message: ${JSON.stringify(t.error)}`);
+      lines.push('  ...');
+    } else if (t.status === 'failed') {
+      lines.push(`not ok ${i + 1} - ${description}`);
+      lines.push('  ---');
+      lines.push(`  message: ${JSON.stringify(t.error || 'Failed')}`);
+      lines.push(`  duration_ms: ${t.duration}`);
+      lines.push('  ...');
+    } else {
+      lines.push(`ok ${i + 1} - ${description}`);
+    }
+  });
+  const { summary } = report;
+  lines.push(`# passed ${summary.passed}, failed ${summary.failed}, warnings ${summary.warnings}, flaky ${summary.flaky}, skipped ${summary.skipped}, duration ${report.duration}ms`);
+  return lines.join('\n') + '\n';
+}
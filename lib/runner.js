@@ -0,0 +1,89 @@
+// ============================================
+// TEST RUNNER HELPERS
+// Selection (?category= / ?test=) and bounded parallelism
+// for the suite in api/test.js
+// ============================================
+
+function parseList(value) {
+  if (!value) return [];
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap(v => String(v).split(','))
+    .map(v => v.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Build a selection from the query string.
+ *   ?category=Engine,Push   - only these categories
+ *   ?test=Page loads        - only tests with this name (any category)
+ *   ?test=Demo/Page loads   - only this exact test
+ * `dependencies` maps "Category/Name" to the tests it needs to have run first,
+ * so selecting a test by name also runs what it depends on.
+ */
+export function parseSelection(query = {}, dependencies = {}) {
+  const categories = parseList(query.category);
+  const tests = parseList(query.test);
+
+  // Pull in prerequisites of explicitly selected tests
+  const required = new Set();
+  const addRequired = key => {
+    for (const dep of dependencies[key] || []) {
+      const depKey = dep.toLowerCase();
+      if (!required.has(depKey)) {
+        required.add(depKey);
+        addRequired(dep);
+      }
+    }
+  };
+  Object.keys(dependencies).forEach(key => {
+    const [category, name] = key.toLowerCase().split('/');
+    if (tests.includes(key.toLowerCase()) || tests.includes(name)) {
+      if (categories.length === 0 || categories.includes(category)) addRequired(key);
+    }
+  });
+
+  return {
+    categories,
+    tests,
+    required,
+    isFiltered: categories.length > 0 || tests.length > 0
+  };
+}
+
+// No ?category= or ?test= - the whole suite runs
+export function isFullSelection(selection) {
+  return selection.categories.length === 0 && selection.tests.length === 0;
+}
+
+export function includesCategory(selection, category) {
+  const key = category.toLowerCase();
+  if (selection.categories.length > 0 && !selection.categories.includes(key)) return false;
+  if (selection.tests.length === 0) return true;
+  return selection.tests.some(t => !t.includes('/') || t.startsWith(`${key}/`))
+    || [...selection.required].some(r => r.startsWith(`${key}/`));
+}
+
+export function includesTest(selection, category, name) {
+  if (!includesCategory(selection, category)) return false;
+  if (selection.tests.length === 0) return true;
+  const key = `${category}/${name}`.toLowerCase();
+  return selection.tests.includes(key)
+    || selection.tests.includes(name.toLowerCase())
+    || selection.required.has(key);
+}
+
+// Run async tasks with at most `limit` in flight at once
+export async function runWithConcurrency(tasks, limit) {
+  const results = new Array(tasks.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < tasks.length) {
+      const index = next++;
+      results[index] = await tasks[index]();
+    }
+  };
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, tasks.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+}
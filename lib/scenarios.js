@@ -0,0 +1,148 @@
+import { readdirSync, readFileSync } from 'fs';
+import { join } from 'path';
+
+// ============================================
+// ENGINE CONVERSATION SCENARIOS
+// Multi-turn conversations against the engine's /api/chat, one JSON
+// file per scenario in scenarios/. Every turn reuses the sessionId the
+// engine returned, so state carried between turns is what gets tested.
+//
+//   {
+//     "name": "booking-flow",            (optional, defaults to the file name)
+//     "slug": "bella-italia",
+//     "turns": [{
+//       "user": "Vi är 4 personer på fredag",
+//       "expect": {
+//         "response": { "contains": [], "containsAny": [], "notContains": [], "matches": "regex" },
+//         "triggeredActions": { "includes": [], "excludes": [] },
+//         "messages": { "count": 4, "added": 2, "contains": [] }
+//       }
+//     }]
+//   }
+//
+// Text matching is case-insensitive. messages is checked against the
+// persisted chat_messages rows: count is the session total after the turn,
+// added is how many rows the turn wrote, contains looks at those new rows.
+// ============================================
+
+// Bundled with api/test.js via includeFiles in vercel.json
+export const SCENARIOS_DIR = join(process.cwd(), 'scenarios');
+
+const ASSERTIONS = {
+  response: ['contains', 'containsAny', 'notContains', 'matches'],
+  triggeredActions: ['includes', 'excludes'],
+  messages: ['count', 'added', 'contains']
+};
+
+const toList = value => (value === undefined ? [] : Array.isArray(value) ? value : [value]);
+
+function validateScenario(scenario) {
+  if (!scenario || typeof scenario !== 'object') return 'not a JSON object';
+  if (typeof scenario.name !== 'string' || scenario.name.includes('/')) return 'name must be a string without "/"';
+  if (typeof scenario.slug !== 'string' || !scenario.slug) return 'slug is required';
+  if (!Array.isArray(scenario.turns) || scenario.turns.length === 0) return 'turns must be a non-empty array';
+
+  for (const [i, turn] of scenario.turns.entries()) {
+    if (typeof turn.user !== 'string' || !turn.user) return `turn ${i + 1}: user is required`;
+    for (const [target, checks] of Object.entries(turn.expect || {})) {
+      if (!ASSERTIONS[target]) return `turn ${i + 1}: unknown assertion target "${target}"`;
+      const unknown = Object.keys(checks).find(k => !ASSERTIONS[target].includes(k));
+      if (unknown) return `turn ${i + 1}: unknown ${target} assertion "${unknown}"`;
+    }
+    if (turn.expect?.response?.matches) {
+      try {
+        new RegExp(turn.expect.response.matches, 'i');
+      } catch (error) {
+        return `turn ${i + 1}: invalid regex: ${error.message}`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Read every *.json file in dir. Never throws - a broken file is returned
+ * in errors so the suite can report it instead of losing every scenario.
+ * Returns { scenarios, errors: [{ file, error }] }
+ */
+export function loadScenarios(dir = SCENARIOS_DIR) {
+  const scenarios = [];
+  const errors = [];
+
+  let files;
+  try {
+    files = readdirSync(dir).filter(f => f.endsWith('.json')).sort();
+  } catch (error) {
+    console.error('Failed to read scenarios:', error.message);
+    return { scenarios, errors: [{ file: 'scenarios/', error: error.message }] };
+  }
+
+  for (const file of files) {
+    try {
+      const parsed = JSON.parse(readFileSync(join(dir, file), 'utf8'));
+      const scenario = { name: file.replace(/\.json$/, ''), ...parsed };
+      const error = validateScenario(scenario);
+      if (error) errors.push({ file, error });
+      else scenarios.push(scenario);
+    } catch (error) {
+      errors.push({ file, error: error.message });
+    }
+  }
+  return { scenarios, errors };
+}
+
+// Test name of a turn in the report, e.g. "booking-flow #2"
+export function turnName(scenario, index) {
+  return `${scenario.name} #${index + 1}`;
+}
+
+// Every turn needs the turns before it - for parseSelection's dependencies
+export function scenarioDependencies(scenarios, category) {
+  return Object.fromEntries(scenarios.flatMap(s => s.turns.slice(1).map((_, i) => [
+    `${category}/${turnName(s, i + 1)}`,
+    [`${category}/${turnName(s, i)}`]
+  ])));
+}
+
+const includesText = (text, value) => String(text || '').toLowerCase().includes(String(value).toLowerCase());
+
+/**
+ * Check one turn. data is the /api/chat JSON, newMessages the chat_messages
+ * rows the turn added and totalMessages the session's row count after it.
+ * Returns a list of failure messages (empty when the turn passed).
+ */
+export function checkTurn(expect = {}, { data, newMessages, totalMessages }) {
+  const failures = [];
+  const response = data.response || '';
+  const actions = data.triggeredActions || [];
+
+  const { response: r = {}, triggeredActions: a = {}, messages: m = {} } = expect;
+
+  toList(r.contains).filter(v => !includesText(response, v))
+    .forEach(v => failures.push(`response missing "${v}"`));
+  const any = toList(r.containsAny);
+  if (any.length > 0 && !any.some(v => includesText(response, v))) {
+    failures.push(`response has none of ${JSON.stringify(any)}`);
+  }
+  toList(r.notContains).filter(v => includesText(response, v))
+    .forEach(v => failures.push(`response contains "${v}"`));
+  if (r.matches && !new RegExp(r.matches, 'i').test(response)) {
+    failures.push(`response does not match /${r.matches}/i`);
+  }
+
+  toList(a.includes).filter(v => !actions.includes(v))
+    .forEach(v => failures.push(`action "${v}" not triggered (got ${JSON.stringify(actions)})`));
+  toList(a.excludes).filter(v => actions.includes(v))
+    .forEach(v => failures.push(`action "${v}" should not trigger`));
+
+  if (m.count !== undefined && totalMessages !== m.count) {
+    failures.push(`${totalMessages} messages stored, expected ${m.count}`);
+  }
+  if (m.added !== undefined && newMessages.length !== m.added) {
+    failures.push(`${newMessages.length} messages added, expected ${m.added}`);
+  }
+  toList(m.contains).filter(v => !newMessages.some(msg => includesText(msg.content, v)))
+    .forEach(v => failures.push(`no stored message contains "${v}"`));
+
+  return failures;
+}
@@ -0,0 +1,168 @@
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { tracedFetch } from './tracing.js';
+
+// ============================================
+// SCHEMA DRIFT
+// Compares the live database with types/database.types.ts - the file
+// eryai-core-schema broadcasts to every repo. The live side comes from
+// PostgREST's OpenAPI description of the public schema, so no SQL
+// access is needed.
+// ============================================
+
+// Bundled with api/test.js via includeFiles in vercel.json
+export const TYPES_PATH = join(process.cwd(), 'types', 'database.types.ts');
+
+// Postgres type (OpenAPI "format") -> the TS type supabase gen uses for it
+const TS_TYPES = {
+  string: ['text', 'character varying', 'character', 'uuid', 'date', 'inet', 'interval', 'citext',
+    'timestamp with time zone', 'timestamp without time zone', 'time with time zone', 'time without time zone'],
+  number: ['integer', 'bigint', 'smallint', 'numeric', 'real', 'double precision'],
+  boolean: ['boolean'],
+  Json: ['json', 'jsonb']
+};
+
+function toTsType(format = '') {
+  if (format.endsWith('[]')) {
+    const element = toTsType(format.slice(0, -2));
+    return element === 'unknown' ? 'unknown' : `${element}[]`;
+  }
+  return Object.keys(TS_TYPES).find(ts => TS_TYPES[ts].includes(format)) || 'unknown';
+}
+
+/**
+ * Parse the generated file into
+ * { tables: { [name]: { [column]: { type, nullable } } }, views: { ... }, functions: [name] }
+ * Relies on supabase gen's fixed layout: relations at 6 spaces, Row columns at 10.
+ */
+export function parseDatabaseTypes(source) {
+  const schema = { tables: {}, views: {}, functions: [] };
+  let section = null;
+  let relation = null;
+  let inRow = false;
+
+  for (const line of source.split('\n')) {
+    const sectionMatch = line.match(/^ {4}(\w+): \{/);
+    if (sectionMatch) {
+      section = { Tables: 'tables', Views: 'views', Functions: 'functions' }[sectionMatch[1]] || null;
+      if (sectionMatch[1] === 'Enums') break;
+      continue;
+    }
+    if (!section) continue;
+
+    const relationMatch = line.match(/^ {6}(\w+): /);
+    if (relationMatch) {
+      if (section === 'functions') schema.functions.push(relationMatch[1]);
+      else schema[section][relation = relationMatch[1]] = {};
+      inRow = false;
+      continue;
+    }
+    if (section === 'functions' || !relation) continue;
+
+    if (/^ {8}Row: \{/.test(line)) inRow = true;
+    else if (/^ {8}\}/.test(line)) inRow = false;
+    else if (inRow) {
+      const column = line.match(/^ {10}(\w+): (.+)$/);
+      if (column) {
+        const types = column[2].split('|').map(t => t.trim());
+        schema[section][relation][column[1]] = {
+          type: types.filter(t => t !== 'null').join(' | '),
+          nullable: types.includes('null')
+        };
+      }
+    }
+  }
+  return schema;
+}
+
+export function loadDatabaseTypes(path = TYPES_PATH) {
+  return parseDatabaseTypes(readFileSync(path, 'utf8'));
+}
+
+/**
+ * Live schema from PostgREST: { relations: { [name]: { [column]: { type, nullable } } }, functions: [name] }
+ * Tables and views are both "definitions" there; "required" lists the NOT NULL columns.
+ */
+export async function fetchLiveSchema() {
+  const key = process.env.SUPABASE_SERVICE_KEY;
+  const res = await tracedFetch(`${process.env.SUPABASE_URL}/rest/v1/`, {
+    headers: { apikey: key, Authorization: `Bearer ${key}`, Accept: 'application/openapi+json' }
+  });
+  if (!res.ok) throw new Error(`OpenAPI request failed: ${res.status}`);
+  const spec = await res.json();
+
+  const relations = Object.fromEntries(Object.entries(spec.definitions || {}).map(([name, def]) => {
+    const required = def.required || [];
+    return [name, Object.fromEntries(Object.entries(def.properties || {}).map(([column, prop]) => [
+      column,
+      { type: toTsType(prop.format), nullable: !required.includes(column) }
+    ]))];
+  }));
+  const functions = Object.keys(spec.paths || {})
+    .filter(p => p.startsWith('/rpc/'))
+    .map(p => p.slice('/rpc/'.length));
+
+  return { relations, functions };
+}
+
+/**
+ * What the live database is missing or has changed compared to the types file.
+ * Extra columns are ignored - adding one is backwards compatible - but extra
+ * tables are listed since they mean the types file is behind.
+ */
+export function diffSchema(expected, live) {
+  const expectedRelations = { ...expected.tables, ...expected.views };
+  const diff = {
+    missingTables: [],
+    extraTables: Object.keys(live.relations).filter(name => !expectedRelations[name]).sort(),
+    missingColumns: [],
+    typeMismatches: [],
+    nullabilityMismatches: [],
+    missingFunctions: expected.functions.filter(name => !live.functions.includes(name))
+  };
+
+  Object.entries(expectedRelations).forEach(([name, columns]) => {
+    const liveColumns = live.relations[name];
+    if (!liveColumns) {
+      diff.missingTables.push(name);
+      return;
+    }
+    Object.entries(columns).forEach(([column, want]) => {
+      const got = liveColumns[column];
+      if (!got) {
+        diff.missingColumns.push(`${name}.${column}`);
+        return;
+      }
+      if (want.type !== 'unknown' && got.type !== 'unknown' && want.type !== got.type) {
+        diff.typeMismatches.push(`${name}.${column}: expected ${want.type}, live ${got.type}`);
+      }
+      // View columns are always nullable in PostgREST - only tables say anything here
+      if (expected.tables[name] && want.nullable !== got.nullable) {
+        diff.nullabilityMismatches.push(`${name}.${column}: expected ${want.nullable ? 'nullable' : 'NOT NULL'}, live ${got.nullable ? 'nullable' : 'NOT NULL'}`);
+      }
+    });
+  });
+
+  return diff;
+}
+
+const DIFF_LABELS = {
+  missingTables: 'Missing tables',
+  extraTables: 'Tables not in types',
+  missingColumns: 'Missing columns',
+  typeMismatches: 'Type mismatches',
+  nullabilityMismatches: 'Nullability mismatches',
+  missingFunctions: 'Missing functions'
+};
+
+// One line per kind of drift, e.g. "Missing columns (2): leads.score, teams.slug"
+export function formatSchemaDiff(diff) {
+  return Object.entries(DIFF_LABELS)
+    .filter(([kind]) => diff[kind].length > 0)
+    .map(([kind, label]) => `${label} (${diff[kind].length}): ${diff[kind].join(', ')}`);
+}
+
+export async function getSchemaDrift() {
+  const [expected, live] = await Promise.all([loadDatabaseTypes(), fetchLiveSchema()]);
+  return diffSchema(expected, live);
+}
@@ -0,0 +1,167 @@
+import { HOSTS } from './services.js';
+
+// ============================================
+// SECURITY HEADERS
+// The dashboards handle guest PII and staff logins - audit the response
+// headers and cookie flags of their login pages (and the landing page).
+// Every finding says what was expected and what came back.
+// ============================================
+
+/**
+ * What a host must send. Set a check to null to skip it for that host.
+ * @typedef {Object} HeaderExpectations
+ * @property {{ directives: string[] } | null} contentSecurityPolicy - Directives the policy must contain
+ * @property {{ minMaxAge: number, includeSubDomains: boolean } | null} strictTransportSecurity
+ * @property {{ xFrameOptions: string[], frameAncestors: string[] } | null} framing - Either header is enough
+ * @property {string | null} contentTypeOptions
+ * @property {string[] | null} referrerPolicy - Any of these
+ * @property {{ secure: boolean, httpOnly: boolean, sameSite: string[] } | null} cookies - Every Set-Cookie
+ */
+
+/** @type {HeaderExpectations} */
+export const DEFAULT_EXPECTATIONS = {
+  contentSecurityPolicy: { directives: ['default-src', 'frame-ancestors'] },
+  strictTransportSecurity: { minMaxAge: 15552000, includeSubDomains: true },
+  framing: { xFrameOptions: ['DENY', 'SAMEORIGIN'], frameAncestors: ["'none'", "'self'"] },
+  contentTypeOptions: 'nosniff',
+  referrerPolicy: ['no-referrer', 'same-origin', 'strict-origin', 'strict-origin-when-cross-origin'],
+  cookies: { secure: true, httpOnly: true, sameSite: ['Strict', 'Lax'] }
+};
+
+/**
+ * Pages to audit; expect overrides DEFAULT_EXPECTATIONS per check.
+ * @type {Array<{ id: string, name: string, url: string, expect?: Partial<HeaderExpectations> }>}
+ */
+export const SECURITY_HEADER_TARGETS = [
+  { id: 'dashboard', name: 'Dashboard', url: `${HOSTS.dashboard}/login` },
+  { id: 'sales', name: 'Sales', url: `${HOSTS.sales}/login` },
+  // Static marketing page - no session cookies, nothing worth a strict CSP yet
+  { id: 'landing', name: 'Landing', url: HOSTS.landing, expect: { contentSecurityPolicy: { directives: ['frame-ancestors'] } } }
+];
+
+export function expectationsFor(target) {
+  return { ...DEFAULT_EXPECTATIONS, ...target.expect };
+}
+
+const shown = value => value === null || value === undefined ? 'missing' : `"${value}"`;
+
+// "default-src 'self'; frame-ancestors 'none'" -> { 'default-src': ["'self'"], 'frame-ancestors': ["'none'"] }
+function parseCsp(value = '') {
+  return Object.fromEntries(value.split(';')
+    .map(d => d.trim().split(/\s+/))
+    .filter(([name]) => name)
+    .map(([name, ...sources]) => [name.toLowerCase(), sources]));
+}
+
+// "sid=abc; Path=/; Secure; SameSite=Lax" -> { name: 'sid', secure: true, httpOnly: false, sameSite: 'Lax' }
+function parseCookie(header) {
+  const [pair, ...attributes] = header.split(';').map(part => part.trim());
+  const flags = Object.fromEntries(attributes.map(a => {
+    const [key, value = true] = a.split('=');
+    return [key.toLowerCase(), value];
+  }));
+  return {
+    name: pair.split('=')[0],
+    secure: Boolean(flags.secure),
+    httpOnly: Boolean(flags.httponly),
+    // Case-insensitive on the wire - normalize to "Lax"
+    sameSite: typeof flags.samesite === 'string'
+      ? flags.samesite.charAt(0).toUpperCase() + flags.samesite.slice(1).toLowerCase()
+      : null
+  };
+}
+
+/**
+ * name: test name suffix, key: the HeaderExpectations entry it checks.
+ * audit(headers, expected, csp) -> [{ expected, actual }], empty when it passes.
+ * headers is a fetch Headers object, csp the parsed Content-Security-Policy.
+ */
+export const HEADER_CHECKS = [
+  {
+    name: 'Content-Security-Policy',
+    key: 'contentSecurityPolicy',
+    audit: (headers, { directives }, csp) => {
+      const actual = headers.get('content-security-policy');
+      const missing = directives.filter(d => !csp[d]);
+      return missing.length === 0 ? [] : [{
+        expected: `policy with ${directives.join(', ')}`,
+        actual: actual ? `${shown(actual)} (no ${missing.join(', ')})` : 'missing'
+      }];
+    }
+  },
+  {
+    name: 'Strict-Transport-Security',
+    key: 'strictTransportSecurity',
+    audit: (headers, { minMaxAge, includeSubDomains }) => {
+      const actual = headers.get('strict-transport-security');
+      const maxAge = parseInt(actual?.match(/max-age=(\d+)/i)?.[1], 10);
+      const ok = maxAge >= minMaxAge && (!includeSubDomains || /includesubdomains/i.test(actual));
+      return ok ? [] : [{
+        expected: `max-age>=${minMaxAge}${includeSubDomains ? '; includeSubDomains' : ''}`,
+        actual: shown(actual)
+      }];
+    }
+  },
+  {
+    name: 'Framing',
+    key: 'framing',
+    audit: (headers, { xFrameOptions, frameAncestors }, csp) => {
+      const xfo = headers.get('x-frame-options');
+      const ancestors = csp['frame-ancestors'];
+      const ok = (xfo && xFrameOptions.includes(xfo.toUpperCase()))
+        || (ancestors && ancestors.every(source => frameAncestors.includes(source)));
+      return ok ? [] : [{
+        expected: `X-Frame-Options ${xFrameOptions.join('|')} or frame-ancestors ${frameAncestors.join('|')}`,
+        actual: `X-Frame-Options ${shown(xfo)}, frame-ancestors ${ancestors ? shown(ancestors.join(' ')) : 'missing'}`
+      }];
+    }
+  },
+  {
+    name: 'X-Content-Type-Options',
+    key: 'contentTypeOptions',
+    audit: (headers, expected) => {
+      const actual = headers.get('x-content-type-options');
+      return actual?.toLowerCase() === expected ? [] : [{ expected: `"${expected}"`, actual: shown(actual) }];
+    }
+  },
+  {
+    name: 'Referrer-Policy',
+    key: 'referrerPolicy',
+    audit: (headers, allowed) => {
+      const actual = headers.get('referrer-policy');
+      // Browsers use the last policy they understand
+      const policy = actual?.split(',').map(p => p.trim().toLowerCase()).pop();
+      return allowed.includes(policy) ? [] : [{ expected: allowed.join('|'), actual: shown(actual) }];
+    }
+  },
+  {
+    name: 'Cookie flags',
+    key: 'cookies',
+    audit: (headers, { secure, httpOnly, sameSite }) => {
+      const expected = [secure && 'Secure', httpOnly && 'HttpOnly', `SameSite=${sameSite.join('|')}`].filter(Boolean).join('; ');
+      return (headers.getSetCookie?.() || []).map(parseCookie)
+        .filter(c => (secure && !c.secure) || (httpOnly && !c.httpOnly) || !sameSite.includes(c.sameSite))
+        .map(c => ({
+          expected: `${c.name}: ${expected}`,
+          actual: [c.secure && 'Secure', c.httpOnly && 'HttpOnly', c.sameSite && `SameSite=${c.sameSite}`].filter(Boolean).join('; ') || 'no flags'
+        }));
+    }
+  }
+];
+
+/**
+ * Findings per check for one response: { [check name]: [{ expected, actual }] },
+ * null for checks turned off on this host.
+ */
+export function auditHeaders(headers, expect) {
+  const csp = parseCsp(headers.get('content-security-policy') || '');
+  return Object.fromEntries(HEADER_CHECKS.map(check => [
+    check.name,
+    expect[check.key] ? check.audit(headers, expect[check.key], csp) : null
+  ]));
+}
+
+// e.g. "expected max-age>=15552000; includeSubDomains, got "max-age=3600""
+export function formatFindings(findings) {
+  return findings.map(f => `expected ${f.expected}, got ${f.actual}`).join('; ');
+}
@@ -0,0 +1,65 @@
+// ============================================
+// ERYAI SERVICE CATALOG
+// Single source of truth for every monitored service.
+// /api/status, /api/health and /api/test all render from this list,
+// so adding a new EryAI app means adding one entry here.
+// ============================================
+
+/**
+ * @typedef {'page' | 'api' | 'database' | 'third-party'} ServiceKind
+ *
+ * @typedef {Object} Service
+ * @property {string} id - Stable key used in code and storage
+ * @property {string} name - Display name
+ * @property {string} [url] - URL that is checked (omitted for non-HTTP services)
+ * @property {ServiceKind} kind
+ * @property {boolean} critical - An outage here makes overall health critical
+ * @property {number} timeout - Check timeout (ms)
+ * @property {string} group - Section the service is listed under
+ * @property {'GET' | 'POST'} [method] - HTTP method for api checks (default GET)
+ * @property {Object} [body] - JSON body for POST checks
+ * @property {number[]} [acceptStatus] - Non-2xx statuses that still mean "responding"
+ */
+
+export const HOSTS = {
+  landing: 'https://eryai.tech',
+  demo: 'https://ery-ai-demo-restaurang.vercel.app',
+  dashboard: 'https://dashboard.eryai.tech',
+  sales: 'https://sales.eryai.tech',
+  engine: 'https://eryai-engine.vercel.app'
+};
+
+// Display order of groups on the status and health pages
+export const GROUPS = ['Infrastructure', 'Websites', 'APIs'];
+
+const EMPTY_SESSION = '00000000-0000-0000-0000-000000000000';
+
+/** @type {Service[]} */
+export const SERVICES = [
+  // Infrastructure
+  { id: 'supabase', name: 'Supabase Database', kind: 'database', critical: true, timeout: 10000, group: 'Infrastructure' },
+  { id: 'gemini', name: 'Gemini AI API', kind: 'third-party', critical: true, timeout: 10000, group: 'Infrastructure' },
+  { id: 'resend', name: 'Resend Email API', kind: 'third-party', critical: false, timeout: 10000, group: 'Infrastructure' },
+
+  // Websites
+  { id: 'landing', name: 'Landing Page', url: HOSTS.landing, kind: 'page', critical: false, timeout: 10000, group: 'Websites' },
+  { id: 'demo', name: 'Demo Restaurant', url: HOSTS.demo, kind: 'page', critical: false, timeout: 10000, group: 'Websites' },
+  { id: 'dashboard', name: 'Customer Dashboard', url: HOSTS.dashboard, kind: 'page', critical: false, timeout: 10000, group: 'Websites' },
+  { id: 'sales', name: 'Sales Dashboard', url: HOSTS.sales, kind: 'page', critical: false, timeout: 10000, group: 'Websites' },
+
+  // APIs
+  {
+    id: 'engine', name: 'EryAI Engine', url: `${HOSTS.engine}/api/chat`, kind: 'api', critical: true, timeout: 15000, group: 'APIs',
+    method: 'POST', body: { prompt: 'health check' }, acceptStatus: [400]
+  },
+  {
+    id: 'sofia', name: 'Sofia AI API', url: `${HOSTS.demo}/api/restaurant`, kind: 'api', critical: true, timeout: 15000, group: 'APIs',
+    method: 'POST', body: { prompt: 'health check' }, acceptStatus: [400]
+  },
+  { id: 'messages', name: 'Messages API', url: `${HOSTS.demo}/api/messages?session_id=${EMPTY_SESSION}`, kind: 'api', critical: false, timeout: 10000, group: 'APIs' },
+  { id: 'typing', name: 'Typing API', url: `${HOSTS.demo}/api/typing?session_id=${EMPTY_SESSION}`, kind: 'api', critical: false, timeout: 10000, group: 'APIs' }
+];
+
+export function getService(id) {
+  return SERVICES.find(s => s.id === id);
+}
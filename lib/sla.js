@@ -0,0 +1,179 @@
+import { selectAll, selectAllIn } from './supabase.js';
+
+// ============================================
+// OPERATIONAL SLAs
+// Is anyone handling what the AI hands off to the restaurants?
+//   notifications  - handled_at still null past the SLA for its priority
+//   chat_sessions  - needs_human but no assigned user/team N minutes after
+//                    it was handed off (latest escalation, else its first
+//                    notification, else when the session started)
+// Anything untouched for LOOKBACK_DAYS counts as abandoned, not late.
+// Breaches are grouped per customer; /api/sla turns every customer into
+// one alert observation, so they use the same state machine as tests.
+// ============================================
+
+// "urgent=15,high=30" -> { urgent: 15, high: 30 }
+function parseMinutes(value = '') {
+  return Object.fromEntries(value.split(',')
+    .map(pair => pair.split('=').map(s => s.trim()))
+    .filter(([priority, minutes]) => priority && parseFloat(minutes) > 0)
+    .map(([priority, minutes]) => [priority, parseFloat(minutes)]));
+}
+
+export const SLA_CONFIG = {
+  // Minutes a notification may stay unhandled, per priority
+  NOTIFICATION_MINUTES: {
+    urgent: 15,
+    high: 30,
+    normal: 120,
+    low: 480,
+    ...parseMinutes(process.env.SLA_NOTIFICATION_MINUTES)
+  },
+  // Used for notifications without a (known) priority
+  DEFAULT_PRIORITY: 'normal',
+  // Minutes a needs_human session may wait for an assignee
+  ASSIGNMENT_MINUTES: parseFloat(process.env.SLA_ASSIGNMENT_MINUTES) || 15,
+  // Notifications created, and sessions last updated, before this are abandoned
+  LOOKBACK_DAYS: parseFloat(process.env.SLA_LOOKBACK_DAYS) || 7,
+  SAMPLE_SIZE: 5
+};
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const ageMinutes = (time, now) => Math.floor((now - new Date(time).getTime()) / MINUTE_MS);
+
+function notificationLimit(priority) {
+  return SLA_CONFIG.NOTIFICATION_MINUTES[priority] ?? SLA_CONFIG.NOTIFICATION_MINUTES[SLA_CONFIG.DEFAULT_PRIORITY];
+}
+
+/**
+ * When each session was handed to a human: its latest escalation, else its
+ * first notification, else when it started. updated_at would restart the
+ * clock on every guest message. Returns { [sessionId]: ISO time }
+ */
+async function handedOffAt(supabase, sessions) {
+  if (sessions.length === 0) return {};
+  const ids = sessions.map(s => s.id);
+  // Each session's rows land in one chunk, so per-session order holds
+  const [escalations, notifications] = await Promise.all([
+    selectAllIn(chunk => supabase
+      .from('session_escalations')
+      .select('id, session_id, created_at')
+      .in('session_id', chunk)
+      .order('created_at', { ascending: true }), ids),
+    selectAllIn(chunk => supabase
+      .from('notifications')
+      .select('id, session_id, created_at')
+      .in('session_id', chunk)
+      .order('created_at', { ascending: true }), ids)
+  ]);
+
+  const since = {};
+  notifications.forEach(n => { since[n.session_id] = since[n.session_id] || n.created_at; });
+  // Ascending, so the latest escalation wins
+  escalations.forEach(e => { since[e.session_id] = e.created_at; });
+  return Object.fromEntries(sessions.map(s => [s.id, since[s.id] || s.created_at]));
+}
+
+/**
+ * Current breaches, grouped per customer. Every customer is listed so
+ * alerts can recover; breaching is true when either list is non-empty.
+ * Returns { checkedAt, limits, customers: [{ customerId, customerName, breaching, notifications, sessions }] }
+ */
+export async function computeSla(supabase, now = Date.now()) {
+  const shortestLimit = Math.min(...Object.values(SLA_CONFIG.NOTIFICATION_MINUTES));
+  const lookbackStart = new Date(now - SLA_CONFIG.LOOKBACK_DAYS * DAY_MS).toISOString();
+
+  const [customers, notifications, sessions] = await Promise.all([
+    selectAll(() => supabase.from('customers').select('id, name').order('id', { ascending: true })),
+    selectAll(() => supabase
+      .from('notifications')
+      .select('id, customer_id, type, priority, created_at')
+      .is('handled_at', null)
+      .gte('created_at', lookbackStart)
+      .lt('created_at', new Date(now - shortestLimit * MINUTE_MS).toISOString())
+      .order('created_at', { ascending: true })),
+    selectAll(() => supabase
+      .from('chat_sessions')
+      .select('id, customer_id, created_at')
+      .eq('needs_human', true)
+      .is('assigned_user_id', null)
+      .is('assigned_team_id', null)
+      .is('deleted_at', null)
+      .gte('updated_at', lookbackStart)
+      .order('created_at', { ascending: true }))
+  ]);
+
+  const overdueNotifications = notifications
+    .map(n => ({ ...n, ageMinutes: ageMinutes(n.created_at, now), limitMinutes: notificationLimit(n.priority) }))
+    .filter(n => n.ageMinutes > n.limitMinutes);
+
+  const waitingSince = await handedOffAt(supabase, sessions);
+  const unassignedSessions = sessions
+    .map(s => ({ ...s, ageMinutes: ageMinutes(waitingSince[s.id], now) }))
+    .filter(s => s.ageMinutes > SLA_CONFIG.ASSIGNMENT_MINUTES);
+
+  const byCustomer = Object.fromEntries(customers.map(c => [c.id, {
+    customerId: c.id,
+    customerName: c.name,
+    notifications: [],
+    sessions: []
+  }]));
+  const groupFor = customerId => {
+    const id = customerId || 'unknown';
+    byCustomer[id] = byCustomer[id] || { customerId: id, customerName: 'Unknown customer', notifications: [], sessions: [] };
+    return byCustomer[id];
+  };
+
+  overdueNotifications.forEach(n => groupFor(n.customer_id).notifications.push({
+    id: n.id,
+    type: n.type,
+    priority: n.priority,
+    ageMinutes: n.ageMinutes,
+    limitMinutes: n.limitMinutes
+  }));
+  unassignedSessions.forEach(s => groupFor(s.customer_id).sessions.push({
+    id: s.id,
+    ageMinutes: s.ageMinutes,
+    limitMinutes: SLA_CONFIG.ASSIGNMENT_MINUTES
+  }));
+
+  return {
+    checkedAt: new Date(now).toISOString(),
+    limits: {
+      notificationMinutes: SLA_CONFIG.NOTIFICATION_MINUTES,
+      assignmentMinutes: SLA_CONFIG.ASSIGNMENT_MINUTES
+    },
+    customers: Object.values(byCustomer).map(c => ({
+      ...c,
+      breaching: c.notifications.length > 0 || c.sessions.length > 0
+    }))
+  };
+}
+
+// e.g. "2 unhandled notification(s) past SLA (reservation/high 45m > 30m, ...); 1 needs_human session(s) unassigned > 15m (3f2a... 22m)"
+export function describeBreach(customer) {
+  const parts = [];
+  const { notifications, sessions } = customer;
+  if (notifications.length > 0) {
+    const samples = notifications.slice(0, SLA_CONFIG.SAMPLE_SIZE)
+      .map(n => `${n.type}/${n.priority || SLA_CONFIG.DEFAULT_PRIORITY} ${n.ageMinutes}m > ${n.limitMinutes}m`);
+    parts.push(`${notifications.length} unhandled notification(s) past SLA (${samples.join(', ')})`);
+  }
+  if (sessions.length > 0) {
+    const samples = sessions.slice(0, SLA_CONFIG.SAMPLE_SIZE).map(s => `${s.id} ${s.ageMinutes}m`);
+    parts.push(`${sessions.length} needs_human session(s) unassigned > ${SLA_CONFIG.ASSIGNMENT_MINUTES}m (${samples.join(', ')})`);
+  }
+  return parts.join('; ');
+}
+
+// One alert per customer - keyed on the customer so a breach stays one alert while it lasts
+export function slaObservations(report) {
+  return report.customers.map(c => ({
+    key: `sla:${c.customerId}`,
+    source: 'sla',
+    name: c.customerName,
+    failing: c.breaching,
+    error: c.breaching ? describeBreach(c) : null
+  }));
+}
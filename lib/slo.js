@@ -0,0 +1,149 @@
+import { getSupabase, selectAll } from './supabase.js';
+import { percentile, percentiles } from './stats.js';
+import { getService } from './services.js';
+
+// ============================================
+// SLOs AND ERROR BUDGETS
+// Availability SLOs read monitoring_check_results (written by /api/health),
+// latency SLOs read monitoring_latency_samples (written by /api/test).
+//
+// Every SLO is "target fraction of events are good" over windowDays:
+//   error budget  = 1 - target
+//   budget left   = 1 - (bad fraction / error budget)
+//   burn rate     = bad fraction in the last BURN_WINDOW_HOURS / error budget
+//                   (1 = spending the budget exactly as fast as allowed)
+// ============================================
+
+const BURN_WINDOW_HOURS = 24;
+
+export const SLOS = [
+  { id: 'engine-latency', service: 'engine', type: 'latency', category: 'engine', percentile: 95, thresholdMs: 3000, windowDays: 30 },
+  { id: 'api-latency', name: 'Pages & APIs', type: 'latency', category: 'api', percentile: 95, thresholdMs: 1000, windowDays: 30 },
+  { id: 'engine-availability', service: 'engine', type: 'availability', target: 0.995, windowDays: 30 },
+  { id: 'sofia-availability', service: 'sofia', type: 'availability', target: 0.995, windowDays: 30 },
+  { id: 'supabase-availability', service: 'supabase', type: 'availability', target: 0.999, windowDays: 30 },
+  { id: 'dashboard-availability', service: 'dashboard', type: 'availability', target: 0.995, windowDays: 30 }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function describe(slo) {
+  const service = slo.name || getService(slo.service)?.name || slo.service;
+  return slo.type === 'latency'
+    ? `${service} p${slo.percentile} < ${slo.thresholdMs}ms`
+    : `${service} ${(slo.target * 100).toFixed(1)}% available`;
+}
+
+function budget(target, total, bad, recentTotal, recentBad) {
+  const allowed = 1 - target;
+  const badFraction = total > 0 ? bad / total : 0;
+  const recentBadFraction = recentTotal > 0 ? recentBad / recentTotal : 0;
+  return {
+    errorBudgetRemaining: total > 0 ? Math.round((1 - badFraction / allowed) * 1000) / 1000 : null,
+    burnRate: recentTotal > 0 ? Math.round((recentBadFraction / allowed) * 100) / 100 : null
+  };
+}
+
+async function countChecks(supabase, serviceId, since, status) {
+  let query = supabase
+    .from('monitoring_check_results')
+    .select('id', { count: 'exact', head: true })
+    .eq('service_id', serviceId)
+    .gte('checked_at', since);
+  if (status) query = query.eq('status', status);
+  const { count, error } = await query;
+  if (error) throw new Error(error.message);
+  return count || 0;
+}
+
+async function evaluateAvailability(supabase, slo, now) {
+  const since = new Date(now - slo.windowDays * DAY_MS).toISOString();
+  const recentSince = new Date(now - BURN_WINDOW_HOURS * 60 * 60 * 1000).toISOString();
+  const [total, bad, recentTotal, recentBad] = await Promise.all([
+    countChecks(supabase, slo.service, since),
+    countChecks(supabase, slo.service, since, 'error'),
+    countChecks(supabase, slo.service, recentSince),
+    countChecks(supabase, slo.service, recentSince, 'error')
+  ]);
+  return {
+    value: total > 0 ? Math.round(((total - bad) / total) * 100000) / 1000 : null,
+    unit: '%',
+    events: total,
+    ...budget(slo.target, total, bad, recentTotal, recentBad)
+  };
+}
+
+function evaluateLatency(slo, samples, now) {
+  const since = now - slo.windowDays * DAY_MS;
+  const recentSince = now - BURN_WINDOW_HOURS * 60 * 60 * 1000;
+  const inWindow = samples.filter(s => s.category === slo.category && new Date(s.created_at).getTime() >= since);
+  const recent = inWindow.filter(s => new Date(s.created_at).getTime() >= recentSince);
+  const durations = inWindow.map(s => s.duration_ms);
+  const isBad = ms => ms > slo.thresholdMs;
+  return {
+    value: percentile(durations, slo.percentile),
+    unit: 'ms',
+    events: durations.length,
+    ...budget(slo.percentile / 100, durations.length, durations.filter(isBad).length,
+      recent.length, recent.filter(s => isBad(s.duration_ms)).length)
+  };
+}
+
+export async function getLatencySamples(supabase, windowDays, now = Date.now()) {
+  const since = new Date(now - windowDays * DAY_MS).toISOString();
+  return selectAll(() => supabase
+    .from('monitoring_latency_samples')
+    .select('category, name, duration_ms, created_at')
+    .gte('created_at', since)
+    .order('created_at', { ascending: true }));
+}
+
+// p50/p95/p99 per latency category and per sample name over stored history
+export function latencyPercentiles(samples) {
+  const byCategory = {};
+  samples.forEach(s => {
+    byCategory[s.category] = byCategory[s.category] || { all: [], names: {} };
+    byCategory[s.category].all.push(s.duration_ms);
+    byCategory[s.category].names[s.name] = byCategory[s.category].names[s.name] || [];
+    byCategory[s.category].names[s.name].push(s.duration_ms);
+  });
+  return Object.fromEntries(Object.entries(byCategory).map(([category, { all, names }]) => [
+    category,
+    {
+      ...percentiles(all),
+      names: Object.fromEntries(Object.entries(names).map(([name, values]) => [name, percentiles(values)]))
+    }
+  ]));
+}
+
+export async function computeSlos({ supabase = getSupabase(), now = Date.now() } = {}) {
+  const windowDays = Math.max(...SLOS.map(s => s.windowDays));
+  const samples = await getLatencySamples(supabase, windowDays, now);
+
+  const slos = await Promise.all(SLOS.map(async slo => {
+    const result = slo.type === 'latency'
+      ? evaluateLatency(slo, samples, now)
+      : await evaluateAvailability(supabase, slo, now);
+    const status = result.errorBudgetRemaining === null ? 'no_data'
+      : result.errorBudgetRemaining <= 0 ? 'breached'
+      : result.burnRate > 1 ? 'at_risk'
+      : 'ok';
+    return {
+      id: slo.id,
+      service: slo.service || null,
+      type: slo.type,
+      objective: describe(slo),
+      target: slo.type === 'latency' ? slo.percentile / 100 : slo.target,
+      windowDays: slo.windowDays,
+      status,
+      ...result
+    };
+  }));
+
+  return {
+    timestamp: new Date(now).toISOString(),
+    burnWindowHours: BURN_WINDOW_HOURS,
+    slos,
+    latency: latencyPercentiles(samples)
+  };
+}
@@ -0,0 +1,20 @@
+// ============================================
+// SMALL STATISTICS HELPERS
+// ============================================
+
+// Nearest-rank percentile; p in 0-100
+export function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+export function percentiles(values) {
+  return {
+    count: values.length,
+    p50: percentile(values, 50),
+    p95: percentile(values, 95),
+    p99: percentile(values, 99)
+  };
+}
@@ -0,0 +1,39 @@
+import { createClient } from '@supabase/supabase-js';
+import { tracedFetch } from './tracing.js';
+
+let client = null;
+
+// Shared service-role client, created on first use so a missing
+// env var surfaces as a failed check instead of a crashed function.
+// Queries made inside a trace show up as spans (lib/tracing.js).
+export function getSupabase() {
+  if (!client) {
+    client = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY, {
+      global: { fetch: tracedFetch }
+    });
+  }
+  return client;
+}
+
+// PostgREST caps each response (1000 rows by default) - page through everything.
+// buildQuery must return a fresh query for every page.
+export async function selectAll(buildQuery, pageSize = 1000) {
+  const rows = [];
+  for (let from = 0; ; from += pageSize) {
+    const { data, error } = await buildQuery().range(from, from + pageSize - 1);
+    if (error) throw new Error(error.message);
+    rows.push(...data);
+    if (data.length < pageSize) return rows;
+  }
+}
+
+// .in() filters travel in the URL, so a long id list is sent in chunks of
+// chunkSize (100 uuids is ~4 KB). buildQuery(chunk) must return a fresh query.
+export async function selectAllIn(buildQuery, values, chunkSize = 100) {
+  const rows = [];
+  for (let i = 0; i < values.length; i += chunkSize) {
+    const chunk = values.slice(i, i + chunkSize);
+    rows.push(...await selectAll(() => buildQuery(chunk)));
+  }
+  return rows;
+}
@@ -0,0 +1,217 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomBytes } from 'crypto';
+import { HOSTS } from './services.js';
+
+// ============================================
+// TRACING
+// Every request to EryAI's own apps and Supabase carries a W3C traceparent
+// and the monitoring run ID so a failing check can be found in their logs.
+// Spans are kept in memory per request and exported at the end over
+// OTLP/HTTP (JSON) when OTEL_EXPORTER_OTLP_ENDPOINT is set.
+//
+//   trace (run) -> span per test / service check -> span per HTTP or Supabase call
+// ============================================
+
+export const TRACING_CONFIG = {
+  SERVICE_NAME: process.env.OTEL_SERVICE_NAME || 'eryai-monitoring',
+  ENDPOINT: process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT ||
+    (process.env.OTEL_EXPORTER_OTLP_ENDPOINT && `${process.env.OTEL_EXPORTER_OTLP_ENDPOINT.replace(/\/$/, '')}/v1/traces`),
+  HEADERS: process.env.OTEL_EXPORTER_OTLP_HEADERS || '',
+  RUN_ID_HEADER: 'X-Monitoring-Run-Id'
+};
+
+// OTLP enums
+const SPAN_KIND = { internal: 1, server: 2, client: 3 };
+const STATUS_CODE = { unset: 0, ok: 1, error: 2 };
+
+const storage = new AsyncLocalStorage();
+
+const nowNanos = () => `${Date.now()}000000`;
+const randomHex = bytes => randomBytes(bytes).toString('hex');
+
+function createSpan(trace, name, { parentSpanId = null, kind = 'internal', attributes = {} } = {}) {
+  const span = {
+    traceId: trace.traceId,
+    spanId: randomHex(8),
+    parentSpanId,
+    name,
+    kind,
+    attributes: { ...attributes },
+    status: { code: STATUS_CODE.unset },
+    startTimeUnixNano: nowNanos(),
+    endTimeUnixNano: null,
+    setAttributes(values) {
+      Object.assign(span.attributes, values);
+    },
+    setError(message) {
+      span.status = { code: STATUS_CODE.error, message: String(message) };
+    },
+    end() {
+      if (!span.endTimeUnixNano) span.endTimeUnixNano = nowNanos();
+    }
+  };
+  trace.spans.push(span);
+  return span;
+}
+
+// Stand-in when there is no active trace, so instrumented code never has to check
+const NOOP_SPAN = { setAttributes() {}, setError() {}, end() {} };
+
+/**
+ * Start a trace for one request. The root span is ended by exportTrace().
+ * @param {string} name
+ * @param {{ runId?: string, attributes?: object }} [options]
+ */
+export function startTrace(name, { runId, attributes = {} } = {}) {
+  const trace = { traceId: randomHex(16), runId, spans: [] };
+  trace.root = createSpan(trace, name, {
+    kind: 'server',
+    attributes: { 'monitoring.run_id': runId, ...attributes }
+  });
+  return trace;
+}
+
+// Run fn with trace as the active trace - everything it awaits is traced
+export function runWithTrace(trace, fn) {
+  return storage.run({ trace, span: trace.root }, fn);
+}
+
+/**
+ * Run fn(span) in a child span of the active span. Errors thrown by fn mark
+ * the span as failed and are rethrown; without an active trace fn just runs.
+ */
+export async function withSpan(name, attributes, fn) {
+  const active = storage.getStore();
+  if (!active) return fn(NOOP_SPAN);
+
+  const span = createSpan(active.trace, name, { parentSpanId: active.span.spanId, attributes });
+  try {
+    return await storage.run({ trace: active.trace, span }, () => fn(span));
+  } catch (error) {
+    span.setError(error.message);
+    throw error;
+  } finally {
+    span.end();
+  }
+}
+
+const requestUrl = input => new URL(typeof input === 'string' || input instanceof URL ? String(input) : input.url);
+
+// Only our own apps get the trace headers - Resend, Slack, Discord, webhooks
+// and Gemini have no use for them and shouldn't learn our run ids
+function propagatesTo(url) {
+  const origins = [...Object.values(HOSTS), process.env.SUPABASE_URL].filter(Boolean).map(host => new URL(host).origin);
+  return origins.includes(url.origin);
+}
+
+// Query strings can hold API keys (Gemini) - never put them in a span
+function describeRequest(input, options) {
+  const url = requestUrl(input);
+  const method = (options.method || input.method || 'GET').toUpperCase();
+  const supabaseTable = url.pathname.match(/^\/rest\/v1\/([^/]+)/)?.[1];
+  return {
+    name: supabaseTable ? `supabase ${method} ${supabaseTable}` : `${method} ${url.host}${url.pathname}`,
+    attributes: {
+      'http.request.method': method,
+      'url.full': `${url.origin}${url.pathname}`,
+      'server.address': url.hostname,
+      ...(supabaseTable && { 'db.system': 'postgresql', 'db.collection.name': supabaseTable })
+    }
+  };
+}
+
+/**
+ * Drop-in fetch: records a client span and, for EryAI hosts and Supabase,
+ * adds traceparent and the run ID header.
+ * Used for every outgoing request, including the Supabase client's (lib/supabase.js).
+ */
+export async function tracedFetch(input, options = {}) {
+  const active = storage.getStore();
+  if (!active) return fetch(input, options);
+
+  const { name, attributes } = describeRequest(input, options);
+  const span = createSpan(active.trace, name, { parentSpanId: active.span.spanId, kind: 'client', attributes });
+  const headers = new Headers(options.headers || (input instanceof Request ? input.headers : undefined));
+  if (propagatesTo(requestUrl(input))) {
+    headers.set('traceparent', `00-${span.traceId}-${span.spanId}-01`);
+    if (active.trace.runId) headers.set(TRACING_CONFIG.RUN_ID_HEADER, active.trace.runId);
+  }
+
+  try {
+    const response = await fetch(input, { ...options, headers });
+    span.setAttributes({ 'http.response.status_code': response.status });
+    if (response.status >= 400) span.setError(`HTTP ${response.status}`);
+    return response;
+  } catch (error) {
+    span.setError(error.message);
+    throw error;
+  } finally {
+    span.end();
+  }
+}
+
+// ==================== OTLP EXPORT ====================
+function toAttributes(values) {
+  return Object.entries(values)
+    .filter(([, v]) => v !== undefined && v !== null)
+    .map(([key, v]) => ({
+      key,
+      value: typeof v === 'boolean' ? { boolValue: v }
+        : Number.isInteger(v) ? { intValue: String(v) }
+        : typeof v === 'number' ? { doubleValue: v }
+        : { stringValue: String(v) }
+    }));
+}
+
+// OTEL_EXPORTER_OTLP_HEADERS: "key1=value1,key2=value2"
+function parseHeaders(value) {
+  return Object.fromEntries(value.split(',')
+    .filter(pair => pair.includes('='))
+    .map(pair => {
+      const index = pair.indexOf('=');
+      return [pair.slice(0, index).trim(), decodeURIComponent(pair.slice(index + 1).trim())];
+    }));
+}
+
+export function toOtlp(trace) {
+  return {
+    resourceSpans: [{
+      resource: { attributes: toAttributes({ 'service.name': TRACING_CONFIG.SERVICE_NAME }) },
+      scopeSpans: [{
+        scope: { name: TRACING_CONFIG.SERVICE_NAME },
+        spans: trace.spans.map(span => ({
+          traceId: span.traceId,
+          spanId: span.spanId,
+          ...(span.parentSpanId && { parentSpanId: span.parentSpanId }),
+          name: span.name,
+          kind: SPAN_KIND[span.kind],
+          startTimeUnixNano: span.startTimeUnixNano,
+          endTimeUnixNano: span.endTimeUnixNano || span.startTimeUnixNano,
+          attributes: toAttributes(span.attributes),
+          status: span.status
+        }))
+      }]
+    }]
+  };
+}
+
+/**
+ * End the root span and send the trace to the collector.
+ * A collector being down must never fail a check, so errors are only logged.
+ */
+export async function exportTrace(trace, endpoint = TRACING_CONFIG.ENDPOINT) {
+  trace.root.end();
+  if (!endpoint) return;
+
+  try {
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...parseHeaders(TRACING_CONFIG.HEADERS) },
+      body: JSON.stringify(toOtlp(trace)),
+      signal: AbortSignal.timeout(5000)
+    });
+    if (!response.ok) console.error('Failed to export trace:', response.status);
+  } catch (error) {
+    console.error('Failed to export trace:', error.message);
+  }
+}
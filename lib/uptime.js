@@ -0,0 +1,165 @@
+import { selectAll } from './supabase.js';
+
+// ============================================
+// UPTIME HISTORY
+// /api/health (cron) rolls every check into monitoring_uptime_daily,
+// one row per service per UTC day, so the status page can show
+// 90 days without reading every stored check result.
+// ============================================
+
+export const UPTIME_CONFIG = {
+  DAYS: 90,
+  // Share of failed checks in a day that turns degraded into down
+  DOWN_THRESHOLD: 0.05,
+  SPARKLINE_HOURS: 24,
+  // Response-time histogram bounds (ms), cumulative like Prometheus' "le"
+  BUCKETS_MS: [100, 250, 500, 1000, 2500, 5000, 10000]
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+function toDay(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+function addToBuckets(buckets, responseTime) {
+  const next = { ...buckets };
+  UPTIME_CONFIG.BUCKETS_MS.forEach(le => {
+    next[le] = (next[le] || 0) + (responseTime <= le ? 1 : 0);
+  });
+  return next;
+}
+
+// Read-modify-write, not atomic. Safe because the only caller is the
+// /api/health cron (anonymous page views never record), which runs every
+// 5 minutes and finishes well within that - runs don't overlap.
+export async function recordDailyUptime(supabase, checks, now = new Date()) {
+  const day = toDay(now);
+  const { data: rows, error } = await supabase
+    .from('monitoring_uptime_daily')
+    .select('service_id, checks, failures, response_time_total, response_time_buckets')
+    .eq('day', day)
+    .in('service_id', checks.map(c => c.id));
+
+  if (error) {
+    console.error('Failed to load daily uptime:', error.message);
+    return;
+  }
+
+  const previous = Object.fromEntries(rows.map(r => [r.service_id, r]));
+  const updates = checks.map(c => {
+    const prev = previous[c.id] || { checks: 0, failures: 0, response_time_total: 0, response_time_buckets: {} };
+    return {
+      service_id: c.id,
+      day,
+      checks: prev.checks + 1,
+      failures: prev.failures + (c.ok ? 0 : 1),
+      response_time_total: prev.response_time_total + (c.responseTime || 0),
+      response_time_buckets: addToBuckets(prev.response_time_buckets, c.responseTime || 0),
+      updated_at: now.toISOString()
+    };
+  });
+
+  const { error: upsertError } = await supabase
+    .from('monitoring_uptime_daily')
+    .upsert(updates, { onConflict: 'service_id,day' });
+  if (upsertError) console.error('Failed to store daily uptime:', upsertError.message);
+}
+
+function dayStatus(row) {
+  if (!row || row.checks === 0) return 'none';
+  if (row.failures === 0) return 'up';
+  return row.failures / row.checks >= UPTIME_CONFIG.DOWN_THRESHOLD ? 'down' : 'degraded';
+}
+
+// Hourly average response time of successful checks, oldest first
+function sparkline(samples, now) {
+  const points = [];
+  for (let i = UPTIME_CONFIG.SPARKLINE_HOURS - 1; i >= 0; i--) {
+    const end = now - i * HOUR_MS;
+    const hour = samples.filter(s => s.time > end - HOUR_MS && s.time <= end);
+    points.push(hour.length > 0
+      ? Math.round(hour.reduce((a, b) => a + b.responseTime, 0) / hour.length)
+      : null);
+  }
+  return points;
+}
+
+/**
+ * Per-service history for the status page.
+ * Returns { [serviceId]: { uptime, days: [{ date, status, checks, failures, avgResponseTime }], sparkline } }
+ * uptime is null when nothing has been recorded in the window.
+ */
+export async function getUptimeHistory(supabase, serviceIds, { days = UPTIME_CONFIG.DAYS, now = Date.now() } = {}) {
+  const firstDay = toDay(now - (days - 1) * DAY_MS);
+  const sparklineSince = new Date(now - UPTIME_CONFIG.SPARKLINE_HOURS * HOUR_MS).toISOString();
+
+  const [daily, recent] = await Promise.all([
+    selectAll(() => supabase
+      .from('monitoring_uptime_daily')
+      .select('service_id, day, checks, failures, response_time_total')
+      .in('service_id', serviceIds)
+      .gte('day', firstDay)
+      .order('day', { ascending: true })),
+    selectAll(() => supabase
+      .from('monitoring_check_results')
+      .select('service_id, response_time_ms, checked_at')
+      .in('service_id', serviceIds)
+      .eq('status', 'ok')
+      .gte('checked_at', sparklineSince)
+      .order('checked_at', { ascending: true }))
+  ]);
+
+  return Object.fromEntries(serviceIds.map(id => {
+    const byDay = Object.fromEntries(daily.filter(r => r.service_id === id).map(r => [r.day, r]));
+    const history = [];
+    for (let i = days - 1; i >= 0; i--) {
+      const date = toDay(now - i * DAY_MS);
+      const row = byDay[date];
+      history.push({
+        date,
+        status: dayStatus(row),
+        checks: row?.checks || 0,
+        failures: row?.failures || 0,
+        avgResponseTime: row?.checks ? Math.round(row.response_time_total / row.checks) : null
+      });
+    }
+
+    const checks = history.reduce((a, d) => a + d.checks, 0);
+    const failures = history.reduce((a, d) => a + d.failures, 0);
+    const samples = recent
+      .filter(r => r.service_id === id && r.response_time_ms !== null)
+      .map(r => ({ time: new Date(r.checked_at).getTime(), responseTime: r.response_time_ms }));
+
+    return [id, {
+      uptime: checks > 0 ? Math.round(((checks - failures) / checks) * 10000) / 100 : null,
+      days: history,
+      sparkline: sparkline(samples, now)
+    }];
+  }));
+}
+
+/**
+ * Response-time histograms per service over every stored day, for /api/metrics.
+ * Returns { [serviceId]: { count, sumMs, buckets: { [le]: count } } } - only grows, like a Prometheus counter.
+ */
+export async function getResponseTimeHistograms(supabase, serviceIds) {
+  const rows = await selectAll(() => supabase
+    .from('monitoring_uptime_daily')
+    .select('service_id, day, checks, response_time_total, response_time_buckets')
+    .in('service_id', serviceIds)
+    .order('day', { ascending: true }));
+
+  return Object.fromEntries(serviceIds.map(id => {
+    const histogram = { count: 0, sumMs: 0, buckets: Object.fromEntries(UPTIME_CONFIG.BUCKETS_MS.map(le => [le, 0])) };
+    rows.filter(r => r.service_id === id).forEach(r => {
+      histogram.count += r.checks;
+      histogram.sumMs += r.response_time_total;
+      UPTIME_CONFIG.BUCKETS_MS.forEach(le => {
+        histogram.buckets[le] += r.response_time_buckets?.[le] || 0;
+      });
+    });
+    return [id, histogram];
+  }));
+}
@@ -0,0 +1,124 @@
+import { selectAll } from './supabase.js';
+
+// ============================================
+// CHAT VOLUME ANOMALIES
+// A broken widget doesn't fail - a customer's chat_sessions just stop.
+// Every customer's sessions and messages in the last WINDOW_HOURS are
+// compared with the same hours of the week in the BASELINE_WEEKS before,
+// so evenings, weekends and quiet nights are judged against themselves.
+// ============================================
+
+export const VOLUME_CONFIG = {
+  WINDOW_HOURS: parseInt(process.env.VOLUME_WINDOW_HOURS, 10) || 3,
+  BASELINE_WEEKS: parseInt(process.env.VOLUME_BASELINE_WEEKS, 10) || 4,
+  // Weeks a customer must have existed before it is judged
+  MIN_BASELINE_WEEKS: 2,
+  // Drop: below DROP_RATIO of expected, when at least MIN_EXPECTED were expected
+  DROP_RATIO: 0.2,
+  MIN_EXPECTED: { sessions: 5, messages: 20 },
+  // Spike: above SPIKE_RATIO times expected, and at least MIN_SPIKE
+  SPIKE_RATIO: 5,
+  MIN_SPIKE: { sessions: 20, messages: 100 }
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const WEEK_MS = 7 * 24 * HOUR_MS;
+
+function countBy(rows, keyFn) {
+  const counts = {};
+  rows.forEach(row => {
+    const key = keyFn(row);
+    counts[key] = (counts[key] || 0) + 1;
+  });
+  return counts;
+}
+
+// Sessions and messages per customer between from and to
+async function countWindow(supabase, from, to) {
+  const [sessions, messages] = await Promise.all([
+    selectAll(() => supabase
+      .from('chat_sessions')
+      .select('id, customer_id')
+      .gte('created_at', from)
+      .lt('created_at', to)
+      .order('id', { ascending: true })),
+    selectAll(() => supabase
+      .from('chat_messages')
+      .select('id, chat_sessions!inner(customer_id)')
+      .gte('timestamp', from)
+      .lt('timestamp', to)
+      .order('id', { ascending: true }))
+  ]);
+  return {
+    sessions: countBy(sessions, s => s.customer_id),
+    messages: countBy(messages, m => m.chat_sessions.customer_id)
+  };
+}
+
+// actual vs the mean of the baseline weeks; anomaly is 'drop', 'spike' or null
+function judge(metric, actual, baseline) {
+  const expected = baseline.reduce((a, b) => a + b, 0) / baseline.length;
+  let anomaly = null;
+  if (expected >= VOLUME_CONFIG.MIN_EXPECTED[metric] && actual < expected * VOLUME_CONFIG.DROP_RATIO) anomaly = 'drop';
+  if (actual >= VOLUME_CONFIG.MIN_SPIKE[metric] && actual > Math.max(expected, 1) * VOLUME_CONFIG.SPIKE_RATIO) anomaly = 'spike';
+  return {
+    actual,
+    expected: Math.round(expected * 10) / 10,
+    change: expected > 0 ? Math.round((actual - expected) / expected * 100) : null,
+    anomaly
+  };
+}
+
+/**
+ * Volume per customer for the current window and its hour-of-week baseline.
+ * Baseline weeks from before the customer was created are left out.
+ * Returns { from, to, customers: [{ customerId, customerName, slug, baselineWeeks, sessions, messages, anomalous }] }
+ * where sessions/messages are { actual, expected, change (%), anomaly }.
+ */
+export async function computeVolume(supabase, now = Date.now()) {
+  const windows = Array.from({ length: VOLUME_CONFIG.BASELINE_WEEKS + 1 }, (_, week) => ({
+    from: now - week * WEEK_MS - VOLUME_CONFIG.WINDOW_HOURS * HOUR_MS,
+    to: now - week * WEEK_MS
+  }));
+
+  const [customers, ...counts] = await Promise.all([
+    selectAll(() => supabase.from('customers').select('id, name, slug, created_at').order('id', { ascending: true })),
+    ...windows.map(w => countWindow(supabase, new Date(w.from).toISOString(), new Date(w.to).toISOString()))
+  ]);
+  const [current, ...previous] = counts;
+
+  return {
+    from: new Date(windows[0].from).toISOString(),
+    to: new Date(windows[0].to).toISOString(),
+    customers: customers.map(c => {
+      const createdAt = c.created_at ? new Date(c.created_at).getTime() : 0;
+      const baseline = previous.filter((_, i) => windows[i + 1].from >= createdAt);
+      const result = {
+        customerId: c.id,
+        customerName: c.name,
+        slug: c.slug,
+        baselineWeeks: baseline.length,
+        sessions: null,
+        messages: null,
+        anomalous: false
+      };
+      if (baseline.length === 0) return result;
+
+      result.sessions = judge('sessions', current.sessions[c.id] || 0, baseline.map(b => b.sessions[c.id] || 0));
+      result.messages = judge('messages', current.messages[c.id] || 0, baseline.map(b => b.messages[c.id] || 0));
+      result.anomalous = Boolean(result.sessions.anomaly || result.messages.anomaly);
+      return result;
+    })
+  };
+}
+
+// e.g. "sessions 0 vs 14.5 expected (-100%, drop); messages 3 vs 61 expected (-95%, drop)"
+export function describeVolume(customer) {
+  return ['sessions', 'messages']
+    .map(metric => {
+      const { actual, expected, change, anomaly } = customer[metric];
+      const details = [change === null ? null : `${change > 0 ? '+' : ''}${change}%`, anomaly].filter(Boolean);
+      return `${metric} ${actual} vs ${expected} expected${details.length > 0 ? ` (${details.join(', ')})` : ''}`;
+    })
+    .join('; ');
+}
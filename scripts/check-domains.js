@@ -0,0 +1,159 @@
+import tls from 'tls';
+import assert from 'assert/strict';
+import { execFileSync } from 'child_process';
+import { mkdtempSync, readFileSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { DOMAIN_CONFIG, checkTls, tlsStatus, checkDns, checkDomain } from '../lib/domains.js';
+
+// ============================================
+// DOMAINS CHECKS AGAINST LOCAL TLS SERVERS
+// Exercises lib/domains.js without touching the real hosts: a throwaway
+// CA signs certificates for localhost with different lifetimes, each is
+// served on a random port, and DNS goes through a fake resolver.
+//   npm run check:domains   (needs the openssl CLI)
+// Exits non-zero on the first failed expectation.
+// ============================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Helper: Run openssl in dir, quietly
+function openssl(dir, args) {
+  execFileSync('openssl', args, { cwd: dir, stdio: 'pipe' });
+}
+
+// CA plus one localhost certificate per lifetime (days)
+function createCertificates(dir, lifetimes) {
+  openssl(dir, ['req', '-x509', '-newkey', 'rsa:2048', '-nodes', '-keyout', 'ca.key', '-out', 'ca.crt', '-days', '365', '-subj', '/CN=EryAI Local Test CA']);
+  openssl(dir, ['req', '-newkey', 'rsa:2048', '-nodes', '-keyout', 'leaf.key', '-out', 'leaf.csr', '-subj', '/CN=localhost']);
+  writeFileSync(join(dir, 'ext'), 'subjectAltName=DNS:localhost\n');
+  lifetimes.forEach((days, i) => openssl(dir, [
+    'x509', '-req', '-in', 'leaf.csr', '-CA', 'ca.crt', '-CAkey', 'ca.key', '-set_serial', String(i + 1),
+    '-days', String(days), '-extfile', 'ext', '-out', `leaf-${days}.crt`
+  ]));
+  return {
+    ca: readFileSync(join(dir, 'ca.crt')),
+    key: readFileSync(join(dir, 'leaf.key')),
+    certs: Object.fromEntries(lifetimes.map(days => [days, readFileSync(join(dir, `leaf-${days}.crt`))]))
+  };
+}
+
+// Completes the handshake and hangs up - all checkTls needs
+function serve(key, cert) {
+  return new Promise(resolve => {
+    const server = tls.createServer({ key, cert }, socket => socket.end());
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+const port = server => /** @type {import('net').AddressInfo} */ (server.address()).port;
+
+async function check(name, fn) {
+  await fn();
+  console.log(`✅ ${name}`);
+}
+
+async function main() {
+  const dir = mkdtempSync(join(tmpdir(), 'eryai-domains-'));
+  const servers = [];
+  try {
+    const long = DOMAIN_CONFIG.WARN_DAYS + 30;
+    const warning = DOMAIN_CONFIG.WARN_DAYS - 1;
+    const failing = DOMAIN_CONFIG.FAIL_DAYS - 1;
+    const { ca, key, certs } = createCertificates(dir, [long, warning, failing]);
+    const ports = {};
+    for (const days of [long, warning, failing]) {
+      const server = await serve(key, certs[days]);
+      servers.push(server);
+      ports[days] = port(server);
+    }
+    const local = (days, options = {}) => checkTls('127.0.0.1', { port: ports[days], ca, servername: 'localhost', ...options });
+
+    await check(`${long}-day certificate is ok`, async () => {
+      const result = await local(long);
+      assert.equal(result.authorized, true);
+      assert.equal(result.chainError, null);
+      assert.equal(result.hostnameError, null);
+      assert.equal(result.subject, 'localhost');
+      assert.deepEqual(tlsStatus(result), { status: 'ok', problems: [] });
+    });
+
+    await check(`${warning}-day certificate is a warning`, async () => {
+      const { status, problems } = tlsStatus(await local(warning));
+      assert.equal(status, 'warning');
+      assert.match(problems[0], /warning threshold/);
+    });
+
+    await check(`${failing}-day certificate fails`, async () => {
+      const { status, problems } = tlsStatus(await local(failing));
+      assert.equal(status, 'failed');
+      assert.match(problems[0], /fail threshold/);
+    });
+
+    await check('expired certificate fails', async () => {
+      const { status, problems } = tlsStatus(await local(long, { now: Date.now() + (long + 2) * DAY_MS }));
+      assert.equal(status, 'failed');
+      assert.match(problems[0], /expired \d+ day\(s\) ago/);
+    });
+
+    await check('untrusted chain fails', async () => {
+      const result = await local(long, { ca: undefined });
+      assert.equal(result.authorized, false);
+      assert.ok(result.chainError);
+      assert.equal(result.hostnameError, null);
+      assert.match(tlsStatus(result).problems.join(), /Chain invalid/);
+    });
+
+    await check('wrong hostname fails', async () => {
+      const result = await local(long, { servername: 'dashboard.eryai.tech' });
+      assert.equal(result.chainError, null);
+      assert.ok(result.hostnameError);
+      assert.match(tlsStatus(result).problems.join(), /Hostname mismatch/);
+    });
+
+    await check('closed port rejects', async () => {
+      const server = await serve(key, certs[long]);
+      const closed = port(server);
+      await new Promise(resolve => server.close(resolve));
+      await assert.rejects(checkTls('127.0.0.1', { port: closed, ca, servername: 'localhost' }));
+    });
+
+    const resolver = {
+      resolve4: async host => {
+        if (host === 'missing.test') throw Object.assign(new Error('queryA ENOTFOUND'), { code: 'ENOTFOUND' });
+        return host === 'moved.test' ? ['1.2.3.4'] : ['76.76.21.21'];
+      },
+      resolveCname: async () => ['cname.vercel-dns-017.com']
+    };
+
+    await check('matching DNS records pass', async () => {
+      const { mismatches } = await checkDns({ host: 'apex.test', dns: { A: ['76.76.21.21'], CNAME: [/(^|\.)vercel-dns(-\d+)?\.com$/] } }, resolver);
+      assert.deepEqual(mismatches, []);
+    });
+
+    await check('repointed record is reported', async () => {
+      const { mismatches } = await checkDns({ host: 'moved.test', dns: { A: ['76.76.21.21'] } }, resolver);
+      assert.deepEqual(mismatches, ['A: got 1.2.3.4, expected 76.76.21.21']);
+    });
+
+    await check('missing host is reported', async () => {
+      const { mismatches } = await checkDns({ host: 'missing.test' }, resolver);
+      assert.deepEqual(mismatches, ['A: ENOTFOUND']);
+    });
+
+    await check('checkDomain combines TLS and DNS', async () => {
+      const result = await checkDomain({ id: 'local', host: 'localhost', port: ports[long] }, { ca, resolver });
+      assert.equal(result.tlsError, null);
+      assert.equal(result.tls.authorized, true);
+      assert.deepEqual(result.dns.mismatches, []);
+    });
+  } finally {
+    servers.forEach(server => server.close());
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+main().catch(error => {
+  console.error('❌', error.message);
+  process.exitCode = 1;
+});
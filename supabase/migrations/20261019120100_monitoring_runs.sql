@@ -0,0 +1,35 @@
+-- ============================================
+-- TEST RUN HISTORY
+-- One row per /api/test run and one per test in it.
+-- Only the service key reads or writes monitoring tables: RLS on, no policies.
+-- ============================================
+
+create table if not exists public.monitoring_runs (
+  id uuid primary key default gen_random_uuid(),
+  started_at timestamptz not null,
+  finished_at timestamptz,
+  duration_ms integer,
+  trigger text not null check (trigger in ('cron', 'manual')),
+  commit_sha text,
+  total integer not null default 0,
+  passed integer not null default 0,
+  failed integer not null default 0,
+  skipped integer not null default 0,
+  created_at timestamptz default now()
+);
+create index if not exists monitoring_runs_started_at_idx on public.monitoring_runs (started_at desc);
+
+create table if not exists public.monitoring_test_results (
+  id uuid primary key default gen_random_uuid(),
+  run_id uuid not null references public.monitoring_runs (id) on delete cascade,
+  category text not null,
+  name text not null,
+  status text not null,
+  duration_ms integer,
+  error text,
+  created_at timestamptz default now()
+);
+create index if not exists monitoring_test_results_run_id_idx on public.monitoring_test_results (run_id);
+
+alter table public.monitoring_runs enable row level security;
+alter table public.monitoring_test_results enable row level security;
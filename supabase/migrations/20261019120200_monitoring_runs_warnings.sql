@@ -0,0 +1,2 @@
+-- Warning outcome: passed, but outside its target
+alter table public.monitoring_runs add column if not exists warnings integer not null default 0;
@@ -0,0 +1,22 @@
+-- ============================================
+-- ALERT STATE
+-- One row per test or service, upserted on alert_key by lib/alerts.js -
+-- the unique index is the on_conflict target.
+-- ============================================
+
+create table if not exists public.monitoring_alerts (
+  id uuid primary key default gen_random_uuid(),
+  alert_key text not null,
+  source text not null,
+  name text not null,
+  state text not null default 'ok' check (state in ('ok', 'failing', 'resolved')),
+  failing_since timestamptz,
+  last_notified_at timestamptz,
+  last_error text,
+  resolved_at timestamptz,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+create unique index if not exists monitoring_alerts_alert_key_key on public.monitoring_alerts (alert_key);
+
+alter table public.monitoring_alerts enable row level security;
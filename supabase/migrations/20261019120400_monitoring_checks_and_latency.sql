@@ -0,0 +1,32 @@
+-- ============================================
+-- HEALTH CHECK RESULTS AND LATENCY SAMPLES
+-- Raw data behind the SLOs: one row per service per /api/health run,
+-- one row per latency measurement in /api/test.
+-- ============================================
+
+create table if not exists public.monitoring_check_results (
+  id uuid primary key default gen_random_uuid(),
+  service_id text not null,
+  status text not null check (status in ('ok', 'error')),
+  response_time_ms integer,
+  status_code integer,
+  error text,
+  checked_at timestamptz not null default now()
+);
+create index if not exists monitoring_check_results_checked_at_idx
+  on public.monitoring_check_results (checked_at desc);
+create index if not exists monitoring_check_results_service_checked_at_idx
+  on public.monitoring_check_results (service_id, checked_at);
+
+create table if not exists public.monitoring_latency_samples (
+  id uuid primary key default gen_random_uuid(),
+  run_id uuid references public.monitoring_runs (id) on delete cascade,
+  category text not null,
+  name text not null,
+  duration_ms integer not null,
+  created_at timestamptz default now()
+);
+create index if not exists monitoring_latency_samples_run_id_idx on public.monitoring_latency_samples (run_id);
+
+alter table public.monitoring_check_results enable row level security;
+alter table public.monitoring_latency_samples enable row level security;
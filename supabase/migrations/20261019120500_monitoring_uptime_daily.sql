@@ -0,0 +1,18 @@
+-- ============================================
+-- DAILY UPTIME
+-- One row per service per UTC day, upserted on (service_id, day) by
+-- lib/uptime.js - the unique index is the on_conflict target.
+-- ============================================
+
+create table if not exists public.monitoring_uptime_daily (
+  service_id text not null,
+  day date not null,
+  checks integer not null default 0,
+  failures integer not null default 0,
+  response_time_total bigint not null default 0,
+  updated_at timestamptz not null default now()
+);
+create unique index if not exists monitoring_uptime_daily_service_id_day_key
+  on public.monitoring_uptime_daily (service_id, day);
+
+alter table public.monitoring_uptime_daily enable row level security;
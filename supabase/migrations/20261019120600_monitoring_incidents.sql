@@ -0,0 +1,41 @@
+-- ============================================
+-- INCIDENTS AND MAINTENANCE WINDOWS
+-- services holds service ids from lib/services.js.
+-- ============================================
+
+create table if not exists public.monitoring_incidents (
+  id uuid primary key default gen_random_uuid(),
+  title text not null,
+  severity text not null check (severity in ('minor', 'major', 'critical')),
+  status text not null default 'investigating' check (status in ('investigating', 'identified', 'monitoring', 'resolved')),
+  services text[] not null default '{}',
+  resolved_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists public.monitoring_incident_updates (
+  id uuid primary key default gen_random_uuid(),
+  incident_id uuid not null references public.monitoring_incidents (id) on delete cascade,
+  status text not null check (status in ('investigating', 'identified', 'monitoring', 'resolved')),
+  message text not null,
+  created_at timestamptz not null default now()
+);
+create index if not exists monitoring_incident_updates_incident_id_idx
+  on public.monitoring_incident_updates (incident_id);
+
+create table if not exists public.monitoring_maintenance (
+  id uuid primary key default gen_random_uuid(),
+  title text not null,
+  description text,
+  services text[] not null default '{}',
+  starts_at timestamptz not null,
+  ends_at timestamptz not null,
+  created_at timestamptz not null default now(),
+  check (ends_at > starts_at)
+);
+create index if not exists monitoring_maintenance_ends_at_idx on public.monitoring_maintenance (ends_at);
+
+alter table public.monitoring_incidents enable row level security;
+alter table public.monitoring_incident_updates enable row level security;
+alter table public.monitoring_maintenance enable row level security;
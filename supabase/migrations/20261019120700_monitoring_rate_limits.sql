@@ -0,0 +1,15 @@
+-- ============================================
+-- RATE LIMITS
+-- One counter per auth key per window, upserted on (key, window_start) by
+-- lib/rate-limit.js - the unique index is the on_conflict target.
+-- ============================================
+
+create table if not exists public.monitoring_rate_limits (
+  key text not null,
+  window_start timestamptz not null,
+  count integer not null default 0
+);
+create unique index if not exists monitoring_rate_limits_key_window_start_key
+  on public.monitoring_rate_limits (key, window_start);
+
+alter table public.monitoring_rate_limits enable row level security;
@@ -0,0 +1,3 @@
+-- Tests that passed on a retry, and how many attempts each test took
+alter table public.monitoring_runs add column if not exists flaky integer not null default 0;
+alter table public.monitoring_test_results add column if not exists attempts integer not null default 1;
@@ -0,0 +1,3 @@
+-- Response-time histogram per service and day: { [le ms]: count }, cumulative like Prometheus
+alter table public.monitoring_uptime_daily
+  add column if not exists response_time_buckets jsonb not null default '{}'::jsonb;
@@ -0,0 +1,2 @@
+-- AI Logic: [{ type, pass, reason }] per promptfoo assertion
+alter table public.monitoring_test_results add column if not exists assertions jsonb;
@@ -0,0 +1,20 @@
+-- ============================================
+-- OUTREACH CAMPAIGN SNAPSHOTS
+-- campaign_performance's all-time totals per campaign and UTC day, upserted
+-- on (campaign_id, day) by lib/outreach.js - the unique index is the
+-- on_conflict target. No foreign key: history outlives a deleted campaign.
+-- ============================================
+
+create table if not exists public.monitoring_campaign_snapshots (
+  campaign_id text not null,
+  day date not null,
+  total_sent integer not null default 0,
+  total_opened integer not null default 0,
+  total_replied integer not null default 0,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+create unique index if not exists monitoring_campaign_snapshots_campaign_id_day_key
+  on public.monitoring_campaign_snapshots (campaign_id, day);
+
+alter table public.monitoring_campaign_snapshots enable row level security;
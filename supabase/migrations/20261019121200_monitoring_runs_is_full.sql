@@ -0,0 +1,7 @@
+-- false for ?category= / ?test= runs, e.g. the hourly cron. Runs stored
+-- before this column existed count as full.
+alter table public.monitoring_runs add column if not exists is_full boolean not null default true;
+
+-- Latest full run (lib/metrics.js) and the flake window (lib/flakes.js)
+create index if not exists monitoring_runs_full_started_at_idx
+  on public.monitoring_runs (started_at desc) where is_full;
@@ -0,0 +1,19 @@
+-- ============================================
+-- ATOMIC RATE LIMIT COUNTER
+-- Counts one request for key in the window starting at window_start and
+-- returns the new count. A single upsert, so concurrent requests can't
+-- both read the same count and slip past the limit.
+-- ============================================
+
+create or replace function public.monitoring_rate_limit_hit(p_key text, p_window_start timestamptz)
+returns integer
+language sql
+set search_path = ''
+as $$
+  insert into public.monitoring_rate_limits as r (key, window_start, count)
+  values (p_key, p_window_start, 1)
+  on conflict (key, window_start) do update set count = r.count + 1
+  returning r.count;
+$$;
+
+revoke execute on function public.monitoring_rate_limit_hit(text, timestamptz) from public, anon, authenticated;
@@ -0,0 +1,66 @@
+-- ============================================
+-- INCIDENT WRITES
+-- An incident and its timeline entry are written in one transaction, so a
+-- failed timeline insert can't leave an incident without its first update
+-- or a status change without its message. Called by lib/incidents.js.
+-- ============================================
+
+create or replace function public.monitoring_create_incident(
+  p_title text,
+  p_severity text,
+  p_services text[],
+  p_status text,
+  p_message text
+)
+returns setof public.monitoring_incidents
+language plpgsql
+set search_path = ''
+as $$
+declare
+  incident public.monitoring_incidents;
+begin
+  insert into public.monitoring_incidents (title, severity, services, status, resolved_at)
+  values (p_title, p_severity, p_services, p_status, case when p_status = 'resolved' then now() end)
+  returning * into incident;
+
+  insert into public.monitoring_incident_updates (incident_id, status, message)
+  values (incident.id, p_status, p_message);
+
+  return next incident;
+end;
+$$;
+
+-- No row when the incident doesn't exist
+create or replace function public.monitoring_add_incident_update(
+  p_incident_id uuid,
+  p_status text,
+  p_message text,
+  p_severity text default null
+)
+returns setof public.monitoring_incidents
+language plpgsql
+set search_path = ''
+as $$
+declare
+  incident public.monitoring_incidents;
+begin
+  update public.monitoring_incidents
+  set status = p_status,
+      severity = coalesce(p_severity, severity),
+      updated_at = now(),
+      resolved_at = case when p_status = 'resolved' then now() end
+  where id = p_incident_id
+  returning * into incident;
+  if not found then
+    return;
+  end if;
+
+  insert into public.monitoring_incident_updates (incident_id, status, message)
+  values (p_incident_id, p_status, p_message);
+
+  return next incident;
+end;
+$$;
+
+revoke execute on function public.monitoring_create_incident(text, text, text[], text, text) from public, anon, authenticated;
+revoke execute on function public.monitoring_add_incident_update(uuid, text, text, text) from public, anon, authenticated;
@@ -667,6 +667,384 @@ export type Database = {
         }
         Relationships: []
       }
+      monitoring_alerts: {
+        Row: {
+          alert_key: string
+          created_at: string | null
+          failing_since: string | null
+          id: string
+          last_error: string | null
+          last_notified_at: string | null
+          name: string
+          resolved_at: string | null
+          source: string
+          state: string
+          updated_at: string | null
+        }
+        Insert: {
+          alert_key: string
+          created_at?: string | null
+          failing_since?: string | null
+          id?: string
+          last_error?: string | null
+          last_notified_at?: string | null
+          name: string
+          resolved_at?: string | null
+          source: string
+          state?: string
+          updated_at?: string | null
+        }
+        Update: {
+          alert_key?: string
+          created_at?: string | null
+          failing_since?: string | null
+          id?: string
+          last_error?: string | null
+          last_notified_at?: string | null
+          name?: string
+          resolved_at?: string | null
+          source?: string
+          state?: string
+          updated_at?: string | null
+        }
+        Relationships: []
+      }
+      monitoring_campaign_snapshots: {
+        Row: {
+          campaign_id: string
+          created_at: string | null
+          day: string
+          total_opened: number
+          total_replied: number
+          total_sent: number
+          updated_at: string | null
+        }
+        Insert: {
+          campaign_id: string
+          created_at?: string | null
+          day: string
+          total_opened?: number
+          total_replied?: number
+          total_sent?: number
+          updated_at?: string | null
+        }
+        Update: {
+          campaign_id?: string
+          created_at?: string | null
+          day?: string
+          total_opened?: number
+          total_replied?: number
+          total_sent?: number
+          updated_at?: string | null
+        }
+        Relationships: []
+      }
+      monitoring_check_results: {
+        Row: {
+          checked_at: string
+          error: string | null
+          id: string
+          response_time_ms: number | null
+          service_id: string
+          status: string
+          status_code: number | null
+        }
+        Insert: {
+          checked_at?: string
+          error?: string | null
+          id?: string
+          response_time_ms?: number | null
+          service_id: string
+          status: string
+          status_code?: number | null
+        }
+        Update: {
+          checked_at?: string
+          error?: string | null
+          id?: string
+          response_time_ms?: number | null
+          service_id?: string
+          status?: string
+          status_code?: number | null
+        }
+        Relationships: []
+      }
+      monitoring_incident_updates: {
+        Row: {
+          created_at: string
+          id: string
+          incident_id: string
+          message: string
+          status: string
+        }
+        Insert: {
+          created_at?: string
+          id?: string
+          incident_id: string
+          message: string
+          status: string
+        }
+        Update: {
+          created_at?: string
+          id?: string
+          incident_id?: string
+          message?: string
+          status?: string
+        }
+        Relationships: [
+          {
+            foreignKeyName: "monitoring_incident_updates_incident_id_fkey"
+            columns: ["incident_id"]
+            isOneToOne: false
+            referencedRelation: "monitoring_incidents"
+            referencedColumns: ["id"]
+          },
+        ]
+      }
+      monitoring_incidents: {
+        Row: {
+          created_at: string
+          id: string
+          resolved_at: string | null
+          services: string[]
+          severity: string
+          status: string
+          title: string
+          updated_at: string
+        }
+        Insert: {
+          created_at?: string
+          id?: string
+          resolved_at?: string | null
+          services?: string[]
+          severity: string
+          status?: string
+          title: string
+          updated_at?: string
+        }
+        Update: {
+          created_at?: string
+          id?: string
+          resolved_at?: string | null
+          services?: string[]
+          severity?: string
+          status?: string
+          title?: string
+          updated_at?: string
+        }
+        Relationships: []
+      }
+      monitoring_latency_samples: {
+        Row: {
+          category: string
+          created_at: string | null
+          duration_ms: number
+          id: string
+          name: string
+          run_id: string | null
+        }
+        Insert: {
+          category: string
+          created_at?: string | null
+          duration_ms: number
+          id?: string
+          name: string
+          run_id?: string | null
+        }
+        Update: {
+          category?: string
+          created_at?: string | null
+          duration_ms?: number
+          id?: string
+          name?: string
+          run_id?: string | null
+        }
+        Relationships: [
+          {
+            foreignKeyName: "monitoring_latency_samples_run_id_fkey"
+            columns: ["run_id"]
+            isOneToOne: false
+            referencedRelation: "monitoring_runs"
+            referencedColumns: ["id"]
+          },
+        ]
+      }
+      monitoring_maintenance: {
+        Row: {
+          created_at: string
+          description: string | null
+          ends_at: string
+          id: string
+          services: string[]
+          starts_at: string
+          title: string
+        }
+        Insert: {
+          created_at?: string
+          description?: string | null
+          ends_at: string
+          id?: string
+          services?: string[]
+          starts_at: string
+          title: string
+        }
+        Update: {
+          created_at?: string
+          description?: string | null
+          ends_at?: string
+          id?: string
+          services?: string[]
+          starts_at?: string
+          title?: string
+        }
+        Relationships: []
+      }
+      monitoring_rate_limits: {
+        Row: {
+          count: number
+          key: string
+          window_start: string
+        }
+        Insert: {
+          count?: number
+          key: string
+          window_start: string
+        }
+        Update: {
+          count?: number
+          key?: string
+          window_start?: string
+        }
+        Relationships: []
+      }
+      monitoring_runs: {
+        Row: {
+          commit_sha: string | null
+          created_at: string | null
+          duration_ms: number | null
+          failed: number
+          finished_at: string | null
+          flaky: number
+          id: string
+          is_full: boolean
+          passed: number
+          skipped: number
+          started_at: string
+          total: number
+          trigger: string
+          warnings: number
+        }
+        Insert: {
+          commit_sha?: string | null
+          created_at?: string | null
+          duration_ms?: number | null
+          failed?: number
+          finished_at?: string | null
+          flaky?: number
+          id?: string
+          is_full?: boolean
+          passed?: number
+          skipped?: number
+          started_at: string
+          total?: number
+          trigger: string
+          warnings?: number
+        }
+        Update: {
+          commit_sha?: string | null
+          created_at?: string | null
+          duration_ms?: number | null
+          failed?: number
+          finished_at?: string | null
+          flaky?: number
+          id?: string
+          is_full?: boolean
+          passed?: number
+          skipped?: number
+          started_at?: string
+          total?: number
+          trigger?: string
+          warnings?: number
+        }
+        Relationships: []
+      }
+      monitoring_test_results: {
+        Row: {
+          assertions: Json | null
+          attempts: number
+          category: string
+          created_at: string | null
+          duration_ms: number | null
+          error: string | null
+          id: string
+          name: string
+          run_id: string
+          status: string
+        }
+        Insert: {
+          assertions?: Json | null
+          attempts?: number
+          category: string
+          created_at?: string | null
+          duration_ms?: number | null
+          error?: string | null
+          id?: string
+          name: string
+          run_id: string
+          status: string
+        }
+        Update: {
+          assertions?: Json | null
+          attempts?: number
+          category?: string
+          created_at?: string | null
+          duration_ms?: number | null
+          error?: string | null
+          id?: string
+          name?: string
+          run_id?: string
+          status?: string
+        }
+        Relationships: [
+          {
+            foreignKeyName: "monitoring_test_results_run_id_fkey"
+            columns: ["run_id"]
+            isOneToOne: false
+            referencedRelation: "monitoring_runs"
+            referencedColumns: ["id"]
+          },
+        ]
+      }
+      monitoring_uptime_daily: {
+        Row: {
+          checks: number
+          day: string
+          failures: number
+          response_time_buckets: Json
+          response_time_total: number
+          service_id: string
+          updated_at: string
+        }
+        Insert: {
+          checks?: number
+          day: string
+          failures?: number
+          response_time_buckets?: Json
+          response_time_total?: number
+          service_id: string
+          updated_at?: string
+        }
+        Update: {
+          checks?: number
+          day?: string
+          failures?: number
+          response_time_buckets?: Json
+          response_time_total?: number
+          service_id?: string
+          updated_at?: string
+        }
+        Relationships: []
+      }
       notifications: {
         Row: {
           created_at: string | null
@@ -1398,6 +1776,29 @@ export type Database = {
         Returns: string
       }
       is_superadmin: { Args: { check_user_id?: string }; Returns: boolean }
+      monitoring_add_incident_update: {
+        Args: {
+          p_incident_id: string
+          p_message: string
+          p_severity?: string
+          p_status: string
+        }
+        Returns: Database["public"]["Tables"]["monitoring_incidents"]["Row"][]
+      }
+      monitoring_create_incident: {
+        Args: {
+          p_message: string
+          p_services: string[]
+          p_severity: string
+          p_status: string
+          p_title: string
+        }
+        Returns: Database["public"]["Tables"]["monitoring_incidents"]["Row"][]
+      }
+      monitoring_rate_limit_hit: {
+        Args: { p_key: string; p_window_start: string }
+        Returns: number
+      }
     }
     Enums: {
       [_ in never]: never